@@ -0,0 +1,86 @@
+/**
+ * ACCOUNT MANAGER
+ * Runs one BedrockHeadlessClient per configured account in the same process.
+ */
+
+import { BedrockHeadlessClient } from "./BedrockHeadlessClient.js";
+import { ConnectionState } from "./StateMachine.js";
+import { resolveAccounts } from "./config.js";
+import { createLogger } from "./logger.js";
+
+export class AccountManager {
+    /**
+     * @param {object} config - Parsed config.json
+     */
+    constructor(config) {
+        this.config = config;
+        this.bots = new Map();
+
+        const accounts = resolveAccounts(config);
+        // Only tag log lines when there is more than one account to tell apart
+        const tagLogs = accounts.length > 1;
+
+        for (const account of accounts) {
+            const logger = createLogger({ prefix: tagLogs ? account.name : undefined, account: account.name });
+            const bot = new BedrockHeadlessClient(account, { logger });
+            // Errors are already logged by the client, just keep them from throwing
+            bot.on("error", () => {});
+            this.bots.set(account.name, bot);
+        }
+
+        this.currentName = accounts[0].name;
+    }
+
+    /** The account REPL commands act on */
+    get current() {
+        return this.bots.get(this.currentName);
+    }
+
+    get names() {
+        return [...this.bots.keys()];
+    }
+
+    get(name) {
+        return this.bots.get(name) || null;
+    }
+
+    all() {
+        return [...this.bots.values()];
+    }
+
+    /**
+     * Switch the current account.
+     * @returns {boolean} false if no account has that name
+     */
+    use(name) {
+        if (!this.bots.has(name)) return false;
+        this.currentName = name;
+        return true;
+    }
+
+    connectAll() {
+        return Promise.all(this.all().map((bot) => bot.connect()));
+    }
+
+    disconnectAll() {
+        for (const bot of this.all()) {
+            if (!bot.state.is(ConnectionState.DISCONNECTED)) bot.disconnect();
+        }
+    }
+
+    /**
+     * Run a command on every connected account.
+     * @param {string} command
+     * @param {object} [options] - Passed to exec(), e.g. { priority }
+     * @returns {number} how many accounts sent or queued it
+     */
+    execAll(command, options = {}) {
+        let sent = 0;
+        for (const bot of this.all()) {
+            if (bot.connected && bot.exec(command, options)) sent++;
+        }
+        return sent;
+    }
+}
+
+export default AccountManager;
@@ -0,0 +1,339 @@
+/**
+ * API SERVER
+ * Opt-in local HTTP + WebSocket control API, for running without a terminal.
+ * Drives the same AccountManager / client methods as the REPL.
+ *
+ * Every request needs the configured token, as "Authorization: Bearer <token>"
+ * or "?token=<token>" (browsers can't set headers on a WebSocket).
+ *
+ *   GET  /status                 - all accounts, or ?account=<name>
+ *   GET  /players                - online players, ?account=<name>&filter=<text>
+ *   GET  /metrics                - Prometheus text format, only with api.metrics (see Metrics.js)
+ *   POST /connect                { account?, all? }
+ *   POST /disconnect             { account?, all? }
+ *   POST /exec                   { command, account?, all?, timeoutMs? }
+ *   POST /goto                   { x, y, z, account?, speed?, timeoutMs? } - resolves when the walk ends
+ *   POST /look                   { yaw, pitch?, account? }
+ *   WS   /events                 - chat, stateChange, kick, disconnect, playerJoin, playerLeave as JSON
+ */
+
+import http from "http";
+import { timingSafeEqual } from "crypto";
+import { WebSocketServer } from "ws";
+import { Priority } from "./CommandQueue.js";
+import { CommandTimeoutError } from "./CommandTracker.js";
+import { formatMetrics } from "./Metrics.js";
+import { ConnectionState } from "./StateMachine.js";
+
+const DEFAULT_HOST = "127.0.0.1";
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Client events forwarded to WebSocket subscribers, and what to send for each
+const STREAMED_EVENTS = {
+    chat: ({ message, type, source }) => ({ message, chatType: type, source }),
+    stateChange: ({ from, to, reason }) => ({ from, to, reason }),
+    kick: ({ reason }) => ({ reason }),
+    disconnect: ({ reason }) => ({ reason }),
+    playerJoin: ({ name, xuid, platform, initial }) => ({ name, xuid, platform, initial }),
+    playerLeave: ({ name, xuid }) => ({ name, xuid }),
+};
+
+class HttpError extends Error {
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+/** JSON.stringify that survives the BigInts bedrock-protocol puts in packets */
+function toJson(value) {
+    return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+export class ApiServer {
+    /**
+     * @param {import("./AccountManager.js").AccountManager} accounts
+     * @param {object} options - The `api` section of config.json
+     * @param {number} options.port
+     * @param {string} options.token
+     * @param {string} [options.host="127.0.0.1"]
+     * @param {boolean} [options.metrics=false] - Serve GET /metrics
+     * @param {object} [deps]
+     * @param {object} [deps.logger] - Logger from createLogger()
+     */
+    constructor(accounts, options, { logger } = {}) {
+        this.accounts = accounts;
+        this.options = options;
+        this.logger = logger;
+        this.server = null;
+        this.wss = null;
+        this.unsubscribe = [];
+    }
+
+    /**
+     * Start listening.
+     * @returns {Promise<number>} the bound port
+     */
+    start() {
+        const { port, host = DEFAULT_HOST, token } = this.options;
+        if (!token) {
+            return Promise.reject(new Error("api.token is required to enable the API"));
+        }
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.wss = new WebSocketServer({ noServer: true });
+
+        this.server.on("upgrade", (req, socket, head) => {
+            const url = new URL(req.url, "http://localhost");
+            if (url.pathname !== "/events" || !this.authorized(req, url)) {
+                socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+                return;
+            }
+            this.wss.handleUpgrade(req, socket, head, (ws) => this.wss.emit("connection", ws, req));
+        });
+
+        this.subscribe();
+
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, host, () => {
+                this.server.off("error", reject);
+                const bound = this.server.address().port;
+                this.logger?.info(`API listening on http://${host}:${bound}`);
+                resolve(bound);
+            });
+        });
+    }
+
+    /**
+     * Stop listening and drop WebSocket subscribers.
+     */
+    stop() {
+        for (const off of this.unsubscribe) off();
+        this.unsubscribe = [];
+
+        if (this.wss) {
+            for (const ws of this.wss.clients) ws.terminate();
+            this.wss.close();
+            this.wss = null;
+        }
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    /**
+     * Send one event to every WebSocket subscriber.
+     */
+    broadcast(event) {
+        if (!this.wss) return;
+        const data = toJson({ time: Date.now(), ...event });
+        for (const ws of this.wss.clients) {
+            if (ws.readyState === ws.OPEN) ws.send(data);
+        }
+    }
+
+    /** @private */
+    subscribe() {
+        for (const bot of this.accounts.all()) {
+            for (const [event, pick] of Object.entries(STREAMED_EVENTS)) {
+                const handler = (payload) => this.broadcast({ type: event, account: bot.name, ...pick(payload) });
+                bot.on(event, handler);
+                this.unsubscribe.push(() => bot.off(event, handler));
+            }
+        }
+    }
+
+    /** @private */
+    authorized(req, url) {
+        const header = req.headers.authorization || "";
+        const given = header.startsWith("Bearer ") ? header.slice(7) : url.searchParams.get("token");
+        if (!given) return false;
+
+        const a = Buffer.from(given);
+        const b = Buffer.from(this.options.token);
+        return a.length === b.length && timingSafeEqual(a, b);
+    }
+
+    /** @private */
+    async handle(req, res) {
+        const url = new URL(req.url, "http://localhost");
+        try {
+            if (!this.authorized(req, url)) {
+                throw new HttpError(401, "Unauthorized");
+            }
+            // The one route that isn't JSON
+            if (req.method === "GET" && url.pathname === "/metrics" && this.options.metrics) {
+                res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+                res.end(formatMetrics(this.accounts.all()));
+                return;
+            }
+            const body = req.method === "POST" ? await this.readBody(req) : {};
+            const result = await this.route(req.method, url, body);
+            this.send(res, 200, result);
+        } catch (error) {
+            this.send(res, error.status || 500, { error: error.message }, error.headers);
+        }
+    }
+
+    /** @private */
+    route(method, url, body) {
+        const key = `${method} ${url.pathname}`;
+        switch (key) {
+            case "GET /status":
+                return this.status(url.searchParams.get("account"));
+            case "GET /players":
+                return this.players(url.searchParams.get("account"), url.searchParams.get("filter") || "");
+            case "POST /connect":
+                return this.connect(body);
+            case "POST /disconnect":
+                return this.disconnect(body);
+            case "POST /exec":
+                return this.exec(body);
+            case "POST /goto":
+                return this.goto(body);
+            case "POST /look":
+                return this.look(body);
+            default:
+                throw new HttpError(404, `No route for ${key}`);
+        }
+    }
+
+    /** @private */
+    status(account) {
+        const bots = account ? [this.target(account)] : this.accounts.all();
+        return {
+            current: this.accounts.currentName,
+            accounts: bots.map((bot) => bot.getStatus()),
+        };
+    }
+
+    /** @private */
+    players(account, filter) {
+        const bot = this.target(account);
+        return { account: bot.name, players: bot.players.list(filter) };
+    }
+
+    /** @private */
+    async connect({ account, all }) {
+        if (all) {
+            await this.accounts.connectAll();
+            return this.status();
+        }
+        const bot = this.target(account);
+        if (bot.state.isActive) throw new HttpError(409, "Already connected");
+        await bot.connect();
+        return this.status(bot.name);
+    }
+
+    /** @private */
+    disconnect({ account, all }) {
+        if (all) {
+            this.accounts.disconnectAll();
+            return this.status();
+        }
+        const bot = this.target(account);
+        if (bot.state.is(ConnectionState.DISCONNECTED)) throw new HttpError(409, "Not connected");
+        bot.disconnect();
+        return this.status(bot.name);
+    }
+
+    /** @private */
+    async exec({ command, account, all, timeoutMs }) {
+        if (typeof command !== "string" || !command.trim()) {
+            throw new HttpError(400, "Missing command");
+        }
+
+        if (all) {
+            return { sent: this.accounts.execAll(command, { priority: Priority.USER }), total: this.accounts.names.length };
+        }
+
+        const bot = this.target(account);
+        if (!bot.connected) throw new HttpError(409, "Not connected");
+
+        try {
+            return await bot.execWithOutput(command, { timeoutMs, priority: Priority.USER });
+        } catch (error) {
+            // Sent but unanswered vs. refused before sending (unknown command, write failure)
+            const status = error instanceof CommandTimeoutError ? 504 : 400;
+            throw new HttpError(status, error.message);
+        }
+    }
+
+    /** @private */
+    async goto({ x, y, z, account, speed, timeoutMs }) {
+        if (![x, y, z].every(Number.isFinite)) {
+            throw new HttpError(400, "x, y and z must be numbers");
+        }
+        const bot = this.target(account);
+        if (!bot.connected) throw new HttpError(409, "Not connected");
+
+        const result = await bot.movement.goto(x, y, z, { speed, timeoutMs });
+        if (result.reason === "dead" || result.reason === "not spawned") throw new HttpError(409, result.reason);
+        return result;
+    }
+
+    /** @private */
+    look({ yaw, pitch = 0, account }) {
+        if (!Number.isFinite(yaw) || !Number.isFinite(pitch)) {
+            throw new HttpError(400, "yaw and pitch must be numbers");
+        }
+        const bot = this.target(account);
+        if (!bot.movement.look(yaw, pitch)) throw new HttpError(409, "Not spawned or not connected");
+        return bot.player.rotation;
+    }
+
+    /**
+     * The named account, or the REPL's current one.
+     * @private
+     */
+    target(name) {
+        if (!name) return this.accounts.current;
+        const bot = this.accounts.get(name);
+        if (!bot) throw new HttpError(404, `Unknown account: ${name}`);
+        return bot;
+    }
+
+    /** @private */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            let tooLarge = false;
+            const chunks = [];
+            req.on("data", (chunk) => {
+                // Keep draining the rest so the 413 response still reaches the client
+                if (tooLarge) return;
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    tooLarge = true;
+                    chunks.length = 0;
+                    reject(new HttpError(413, "Request body too large", { Connection: "close" }));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on("end", () => {
+                if (tooLarge) return;
+                const text = Buffer.concat(chunks).toString("utf8");
+                if (!text) return resolve({});
+                try {
+                    const body = JSON.parse(text);
+                    resolve(body && typeof body === "object" ? body : {});
+                } catch (error) {
+                    reject(new HttpError(400, "Invalid JSON body"));
+                }
+            });
+            req.on("error", reject);
+        });
+    }
+
+    /** @private */
+    send(res, status, body, headers = {}) {
+        res.writeHead(status, { "Content-Type": "application/json", ...headers });
+        res.end(toJson(body));
+    }
+}
+
+export default ApiServer;
@@ -0,0 +1,793 @@
+/**
+ * BEDROCK HEADLESS CLIENT
+ * One connection to one Bedrock server, with ping monitoring and auto-reconnect
+ * (see ReconnectPolicy.js).
+ *
+ * Events:
+ *   connecting  ()                          - connection attempt started
+ *   stateChange ({ from, to, reason })      - see StateMachine.js
+ *   spawn       ()                          - player spawned in the world
+ *   ready       ()                          - commands and inventory received
+ *   reconnect   ()                          - spawned again after a reconnect
+ *   chat        ({ message, formatted, raw, type, source, packet })
+ *                 message: translated, plain text; formatted: translated with § codes
+ *   commandOutput (result)              - see CommandTracker.js
+ *   latency     ({ rtt, method })       - see LatencyMonitor.js
+ *   guiOpen / guiContent / guiClose     - see GUIHandler.js
+ *   inventoryChange                     - see Inventory.js
+ *   formOpen / formClose                - see FormHandler.js
+ *   trigger / notification              - see TriggerEngine.js
+ *   scriptStep / scriptEnd              - see ScriptRunner.js
+ *   job         ({ name, manual })      - see Scheduler.js
+ *   playerJoin / playerLeave            - see PlayerList.js
+ *   title / statChange                  - see Scoreboard.js
+ *   death / respawn / dimensionChange   - see PlayerState.js
+ *   moveEnd                             - see Movement.js
+ *   replayEnd   ({ file, packets, stopped })  - see replay()
+ *   packetOut   ({ name, params })      - a packet was written to the server
+ *   kick        ({ reason, packet })
+ *   disconnect  ({ reason })                - connection lost or closed
+ *   reconnecting    ({ attempt, delayMs, category })   - reconnect scheduled
+ *   reconnectFailed ({ attempts, reason, category })   - gave up reconnecting
+ *   error       (Error)
+ */
+
+import { EventEmitter } from "events";
+import bedrock from "bedrock-protocol";
+import { createLogger } from "./logger.js";
+import { StateMachine, ConnectionState } from "./StateMachine.js";
+import { CommandRegistry } from "./CommandRegistry.js";
+import { CommandQueue } from "./CommandQueue.js";
+import { CommandTracker } from "./CommandTracker.js";
+import { FormHandler } from "./FormHandler.js";
+import { GUIHandler } from "./GUIHandler.js";
+import { Inventory } from "./Inventory.js";
+import { ItemRegistry } from "./ItemRegistry.js";
+import { LatencyMonitor } from "./LatencyMonitor.js";
+import { Metrics } from "./Metrics.js";
+import { Movement } from "./Movement.js";
+import { Notifier } from "./Notifier.js";
+import { PacketRecorder, readRecording } from "./PacketRecorder.js";
+import { PlayerList } from "./PlayerList.js";
+import { PlayerState } from "./PlayerState.js";
+import { ReconnectPolicy } from "./ReconnectPolicy.js";
+import { ReplayClient } from "./ReplayClient.js";
+import { Scheduler } from "./Scheduler.js";
+import { Scoreboard } from "./Scoreboard.js";
+import { ScriptRunner } from "./ScriptRunner.js";
+import { TriggerEngine } from "./TriggerEngine.js";
+import { stripMinecraftColors } from "./text.js";
+import { translate } from "./translate.js";
+
+// Give up waiting for available_commands/inventory_content after this long
+const DEFAULT_READY_TIMEOUT_MS = 10000;
+
+export class BedrockHeadlessClient extends EventEmitter {
+    /**
+     * @param {object} config - One account from resolveAccounts()
+     *   ({ name, username, offline, authCache, server, ping, ... })
+     * @param {object} [options]
+     * @param {string} [options.username] - Xbox account name, overrides config.username
+     * @param {object} [options.logger] - Logger from createLogger()
+     */
+    constructor(config, options = {}) {
+        super();
+        this.config = config;
+        this.username = options.username || config.username;
+        if (!this.username) {
+            throw new Error("No username configured");
+        }
+        this.name = config.name || this.username;
+        this.logger = options.logger || createLogger();
+
+        this.client = null;
+        this.state = new StateMachine();
+        this.items = new ItemRegistry();
+        this.commands = new CommandTracker(this);
+        this.queue = new CommandQueue(this);
+        this.serverCommands = new CommandRegistry();
+        this.gui = new GUIHandler(this);
+        this.inventory = new Inventory(this);
+        this.forms = new FormHandler(this);
+        this.players = new PlayerList(this);
+        this.player = new PlayerState(this);
+        this.movement = new Movement(this);
+        this.scoreboard = new Scoreboard(this);
+        this.latency = new LatencyMonitor(this);
+        this.reconnectPolicy = new ReconnectPolicy(config);
+        this.lastDisconnect = null; // { reason, category, time }
+        this.triggers = new TriggerEngine(this);
+        this.notifier = new Notifier(this);
+        this.scripts = new ScriptRunner(this);
+        this.scheduler = new Scheduler(this);
+        this.recorder = new PacketRecorder(this);
+        this.metrics = new Metrics(this);
+        this.replaying = null; // Recording file while a replay session is active
+        this.spawnCount = 0; // Spawns since the user last called connect()
+        this.reconnectTimer = null;
+        this.readyTimer = null;
+        this.pingInterval = null;
+        this.lastPingTime = null;
+        this.lastPongTime = null;
+
+        this.state.on("stateChange", (change) => {
+            const { from, to, reason } = change;
+            this.logger.state(`${from} → ${to}${reason ? ` | ${reason}` : ""}`);
+            this.emit("stateChange", change);
+
+            if (to === ConnectionState.READY) {
+                clearTimeout(this.readyTimer);
+                this.emit("ready");
+            }
+        });
+    }
+
+    /** In-game name: the Xbox gamertag once authenticated, else the configured username */
+    get playerName() {
+        return this.client?.profile?.name || this.username;
+    }
+
+    /** True once the player has spawned and commands can be sent */
+    get connected() {
+        return this.state.isSpawned;
+    }
+
+    async connect() {
+        const { logger, config, state } = this;
+
+        if (state.isActive) {
+            logger.warn("Already connected");
+            return;
+        }
+
+        // A manual connect starts a fresh session, a scheduled one continues it
+        if (state.is(ConnectionState.DISCONNECTED)) {
+            this.spawnCount = 0;
+            this.reconnectPolicy.reset();
+        }
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.serverCommands.clear();
+        this.replaying = null;
+
+        state.transition(ConnectionState.CONNECTING, `${config.server.ip}:${config.server.port}`);
+
+        try {
+            logger.info(`Connecting to ${config.server.ip}:${config.server.port}...`);
+            this.emit("connecting");
+
+            const options = {
+                host: config.server.ip,
+                port: config.server.port,
+                username: this.username,
+                offline: config.offline ?? false,  // false = Xbox authentication
+                profilesFolder: config.authCache,  // Per-account token cache
+                skipPing: true,
+                keepAlive: true,
+            };
+
+            const client = bedrock.createClient(options);
+            this.client = client;
+            this.hookOutbound(client);
+            this.recorder.attach(client);
+            this.metrics.attach(client);
+            this.registerHandlers(client);
+        } catch (error) {
+            logger.error(`Connection failed: ${error.message}`);
+            this.client = null;
+            state.transition(ConnectionState.ERROR, error.message);
+            // Only re-emit when someone is listening, an unhandled "error" would throw
+            if (this.listenerCount("error") > 0) this.emit("error", error);
+        }
+    }
+
+    /**
+     * Emit "packetOut" for every packet written to a freshly created protocol client.
+     * Outbound packets have no event, so both send paths are wrapped, once.
+     * @private
+     */
+    hookOutbound(client) {
+        for (const method of ["write", "queue"]) {
+            const send = client[method];
+            if (typeof send !== "function") continue;
+            client[method] = (name, params) => {
+                if (client === this.client) this.emit("packetOut", { name, params });
+                return send.call(client, name, params);
+            };
+        }
+    }
+
+    /**
+     * Attach packet and lifecycle handlers to a freshly created protocol client.
+     * Every handler ignores events from a client that has already been replaced.
+     * @private
+     */
+    registerHandlers(client) {
+        const { logger, state } = this;
+        const on = (event, handler) => {
+            client.on(event, (...args) => {
+                if (client === this.client) handler(...args);
+            });
+        };
+
+        // Lifecycle packets drive the state machine
+        on("play_status", (packet) => {
+            if (packet?.status === "login_success") {
+                state.transition(ConnectionState.AUTHENTICATING, "Login successful");
+            }
+        });
+
+        on("resource_packs_info", () => {
+            state.transition(ConnectionState.RESOURCE_PACKS, "Resource pack negotiation");
+        });
+
+        on("resource_pack_stack", () => {
+            state.transition(ConnectionState.RESOURCE_PACKS, "Resource pack negotiation");
+        });
+
+        on("start_game", (packet) => {
+            this.items.load(packet?.itemstates);
+            state.transition(ConnectionState.SPAWNING, "Game started");
+        });
+
+        // 1.21.60+ sends the item table separately
+        on("item_registry", (packet) => {
+            this.items.load(packet?.itemstates);
+        });
+
+        on("available_commands", () => {
+            state.setCommandsAvailable();
+        });
+
+        on("inventory_content", (packet) => {
+            if (packet?.window_id === "inventory" || packet?.window_id === 0) {
+                state.setInventoryReady();
+            }
+        });
+
+        // Connection handlers
+        on("spawn", () => {
+            this.spawnCount++;
+            this.lastPingTime = Date.now();
+            this.lastPongTime = Date.now();
+
+            const isReconnect = this.spawnCount > 1;
+            logger.info(isReconnect ? "✓ Reconnected successfully!" : "✓ Connected!");
+
+            // player_spawn can race ahead of start_game
+            if (state.is(ConnectionState.AUTHENTICATING, ConnectionState.RESOURCE_PACKS)) {
+                state.transition(ConnectionState.SPAWNING, "Spawned before start_game");
+            }
+            state.transition(ConnectionState.WAITING_COMMANDS, "Spawned");
+            this.startReadyTimer();
+            this.latency.reset();
+            // A replay has no server to time out
+            if (!this.replaying) this.startPingMonitor();
+            this.reconnectPolicy.sessionStarted();
+
+            this.emit("spawn");
+            if (isReconnect) this.emit("reconnect");
+        });
+
+        on("text", (packet) => {
+            if (!packet?.message) return;
+
+            // Translation packets carry a key ("%multiplayer.player.joined") and its parameters
+            const text = packet.needs_translation || packet.parameters?.length
+                ? translate(packet.message, packet.parameters || [])
+                : packet.message;
+            const cleanMsg = stripMinecraftColors(text);
+
+            // Update last pong time when we receive any text message
+            this.lastPongTime = Date.now();
+
+            if (this.latency.isChatProbeReply(cleanMsg)) {
+                // This is the chat fallback probe's response, skip it
+                return;
+            }
+
+            // The logger turns § codes into colors on a terminal
+            logger.server(text);
+            logger.transcript?.({ message: cleanMsg, type: packet.type, source: packet.source_name });
+            this.emit("chat", {
+                message: cleanMsg,
+                formatted: text,
+                raw: packet.message,
+                type: packet.type,
+                source: packet.source_name || "",
+                packet,
+            });
+        });
+
+        this.commands.register(on);
+        this.serverCommands.register(on);
+        this.gui.register(on);
+        this.inventory.register(on);
+        this.forms.register(on);
+        this.players.register(on);
+        this.player.register(on);
+        this.movement.register(on);
+        this.scoreboard.register(on);
+        this.latency.register(on);
+
+        // Handle server settings packet (may contain auth info)
+        on("server_settings_response", (packet) => {
+            logger.info(`Server settings: ${JSON.stringify(packet)}`);
+        });
+
+        // bedrock-protocol emits "kick" for every disconnect packet (after "disconnect"),
+        // so handling both would close the client before the kick is reported
+        on("kick", (packet) => {
+            const reason = packet?.message || "Kicked from server";
+            logger.error(`Kicked: ${reason}`);
+            this.emit("kick", { reason, packet });
+            // packet.reason is the DisconnectFailReason code, used for classification
+            this.handleDisconnect(reason, packet?.reason);
+        });
+
+        on("close", () => {
+            logger.warn("Connection closed");
+            this.handleDisconnect("Connection closed");
+        });
+
+        on("error", (err) => {
+            const msg = String(err?.message || err);
+            // Ignore harmless decode errors
+            if (msg.includes('Read error') || msg.includes('Invalid tag')) {
+                return;
+            }
+            logger.error(msg);
+            // Only re-emit when someone is listening, an unhandled "error" would throw
+            if (this.listenerCount("error") > 0) this.emit("error", err);
+
+            // bedrock-protocol gives up without emitting "close" on a connect timeout
+            if (msg.includes("Connect timed out")) {
+                this.handleDisconnect(msg);
+            }
+        });
+
+        // Update pong time on any packet (server is responding)
+        on("packet", () => {
+            this.lastPongTime = Date.now();
+        });
+    }
+
+    /**
+     * Tear down a lost connection and ask the reconnect policy what to do next.
+     * Failed reconnect attempts come through here too, so backoff keeps growing.
+     * Safe to call from several paths at once: only the first call does anything.
+     * @private
+     */
+    handleDisconnect(reason, code = null) {
+        const { state, logger } = this;
+        if (!state.isActive) return;
+
+        this.closeClient();
+
+        // Only reconnect sessions that got in at least once; a bad first connect is a config problem.
+        // A replay session never reconnects, that would connect to the real server
+        if (this.spawnCount === 0 || this.replaying) {
+            this.replaying = null;
+            this.lastDisconnect = { reason, category: null, time: Date.now() };
+            logger.warn("Disconnected from server");
+            state.transition(ConnectionState.DISCONNECTED, reason);
+            this.emit("disconnect", { reason });
+            return;
+        }
+
+        const decision = this.reconnectPolicy.next(reason, code);
+        this.lastDisconnect = { reason, category: decision.category, time: Date.now() };
+
+        if (decision.retry) {
+            state.transition(ConnectionState.RECONNECTING, reason);
+            this.emit("disconnect", { reason });
+            this.scheduleReconnect(decision);
+        } else {
+            logger.warn(`Not reconnecting: ${decision.why}`);
+            state.transition(ConnectionState.DISCONNECTED, reason);
+            this.emit("disconnect", { reason });
+            this.emit("reconnectFailed", {
+                attempts: decision.attempt,
+                reason,
+                category: decision.category,
+            });
+        }
+    }
+
+    /** @private */
+    scheduleReconnect({ delayMs, attempt, category }) {
+        this.logger.info(`Reconnect attempt ${attempt} in ${(delayMs / 1000).toFixed(1)}s (${category})...`);
+        this.emit("reconnecting", { attempt, delayMs, category });
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.state.is(ConnectionState.RECONNECTING)) return;
+            this.logger.info("Attempting to reconnect...");
+            this.connect();
+        }, delayMs);
+    }
+
+    /**
+     * Close the protocol client and stop all per-session timers.
+     * @private
+     */
+    closeClient() {
+        this.stopPingMonitor();
+        clearTimeout(this.readyTimer);
+        this.readyTimer = null;
+        this.commands.reset();
+        this.queue.clear();
+        this.gui.reset();
+        this.inventory.reset();
+        this.forms.reset();
+        this.players.reset();
+        this.movement.reset();
+        this.player.reset();
+        this.scoreboard.reset();
+
+        const client = this.client;
+        // Clear first so the "close" event it emits is treated as stale
+        this.client = null;
+        if (client) {
+            try {
+                client.close();
+            } catch (e) {
+                // Ignore close errors
+            }
+        }
+    }
+
+    disconnect() {
+        const { state, logger } = this;
+
+        if (state.is(ConnectionState.DISCONNECTED)) {
+            logger.warn("Not connected");
+            return;
+        }
+
+        if (state.is(ConnectionState.RECONNECTING)) {
+            logger.info("Reconnect cancelled");
+        } else {
+            logger.info("Disconnecting...");
+        }
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.closeClient();
+        this.replaying = null;
+
+        state.transition(ConnectionState.DISCONNECTED, "Manual disconnect");
+        this.emit("disconnect", { reason: "Manual disconnect" });
+    }
+
+    /**
+     * Play a packet recording (see PacketRecorder.js) through the handlers instead
+     * of connecting. Outbound packets go nowhere and the session never reconnects.
+     * It stays open after the last packet, so GUI and form state can be inspected
+     * until disconnect().
+     * @param {string} file
+     * @param {object} [options]
+     * @param {number} [options.speed=1] - Playback speed multiplier, 0 = as fast as possible
+     * @returns {Promise<{ packets: number, stopped: boolean }>} resolves when playback ends
+     * @throws {Error} if a session is active or the recording can't be read
+     */
+    replay(file, { speed = 1 } = {}) {
+        const { logger, state } = this;
+
+        if (state.isActive) {
+            throw new Error("Disconnect before replaying");
+        }
+        const { meta, packets } = readRecording(file);
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.spawnCount = 0;
+        this.reconnectPolicy.reset();
+        this.serverCommands.clear();
+        this.replaying = file;
+
+        const client = new ReplayClient(packets, { speed, username: this.username });
+        state.transition(ConnectionState.CONNECTING, `Replay of ${file}`);
+        logger.info(`Replaying ${client.packets.length} packets from ${file}${meta ? ` (${meta.account} on ${meta.server}, ${meta.started})` : ""}`);
+        this.emit("connecting");
+
+        this.client = client;
+        this.registerHandlers(client);
+
+        return new Promise((resolve) => {
+            client.once("replayEnd", (result) => {
+                logger.info(result.stopped
+                    ? `Replay stopped after ${result.packets} packets`
+                    : `Replay finished: ${result.packets} packets (disconnect to end the session)`);
+                this.emit("replayEnd", { file, ...result });
+                resolve(result);
+            });
+            client.play();
+        });
+    }
+
+    /**
+     * Send a command as the player, through the outgoing queue.
+     * @param {string} command - Command with or without leading slash
+     * @param {object|boolean} [options] - Options, or the silent flag
+     * @param {boolean} [options.silent=false] - Suppress log output
+     * @param {number} [options.priority=Priority.NORMAL] - See CommandQueue.js
+     * @returns {boolean} true if the command was sent or queued, false if it was refused
+     */
+    exec(command, options = {}) {
+        const { silent = false, priority } = typeof options === "boolean" ? { silent: options } : options;
+        const { output } = this.sendCommand(command, { silent, priority });
+        if (!output) return false;
+
+        // Fire and forget: the output is still logged when it arrives
+        output.catch(() => {});
+        return true;
+    }
+
+    /**
+     * Send a chat message as the player, through the outgoing queue.
+     * @param {string} message
+     * @param {object} [options]
+     * @param {number} [options.priority=Priority.NORMAL] - See CommandQueue.js
+     * @returns {boolean} true if the message was sent or queued, false if it was refused
+     */
+    chat(message, { priority } = {}) {
+        if (!this.connected || !this.client) {
+            this.logger.warn("Not connected");
+            return false;
+        }
+        if (!this.queue.accepts("chat", message)) {
+            this.logger.warn(`Queue full (${this.queue.pending.length} pending), dropped: ${message}`);
+            return false;
+        }
+
+        this.queue.push({ kind: "chat", text: message, priority, run: () => this.writeChat(message) })
+            .catch(() => {});
+        return true;
+    }
+
+    /** @private */
+    writeChat(message) {
+        const { logger } = this;
+        if (!this.client) throw new Error("Not connected");
+
+        try {
+            this.client.write("text", {
+                needs_translation: false,
+                // 1.21.130+ lists the type names of the category as literal strings
+                category: "authored",
+                chat: "chat",
+                whisper: "whisper",
+                announcement: "announcement",
+                type: "chat",
+                source_name: this.playerName,
+                message,
+                xuid: "",
+                platform_chat_id: "",
+                has_filtered_message: false,
+            });
+            logger.info(`Chat: ${message}`);
+        } catch (error) {
+            logger.error(`Chat error: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Send a command and wait for the server's command_output.
+     * @param {string} command - Command with or without leading slash
+     * @param {object} [options]
+     * @param {number} [options.timeoutMs] - Defaults to config.commands.outputTimeoutMs (5000)
+     * @param {boolean} [options.silent=false]
+     * @param {number} [options.priority=Priority.NORMAL] - See CommandQueue.js
+     * @returns {Promise<object>} parsed output ({ success, messages, ... }), rejects on timeout
+     */
+    async execWithOutput(command, options = {}) {
+        const { output, error } = this.sendCommand(command, options);
+        if (!output) {
+            throw new Error(error);
+        }
+        return output;
+    }
+
+    /**
+     * Check a command against the server's available_commands before sending.
+     * @returns {string|null} why the command should not be sent, or null if it's fine
+     */
+    validateCommand(command) {
+        if (!this.serverCommands.loaded) return null;
+
+        const name = command.replace(/^\//, "").split(/\s+/)[0];
+        if (this.serverCommands.has(name)) return null;
+
+        const hints = this.serverCommands.suggest(name);
+        return `Server does not advertise /${name}${hints.length ? ` (did you mean ${hints.map((h) => `/${h}`).join(", ")}?)` : ""}`;
+    }
+
+    /**
+     * Check a command and queue it for sending.
+     * @returns {{ output: Promise<object>|null, error: string|null }} the pending output
+     *   (rejects if dropped from the queue or unanswered), or why nothing was queued
+     * @private
+     */
+    sendCommand(command, { silent = false, timeoutMs, priority } = {}) {
+        const { logger, config } = this;
+
+        if (!this.connected || !this.client) {
+            if (!silent) logger.warn("Not connected");
+            return { output: null, error: "Not connected" };
+        }
+
+        const cmd = command.startsWith("/") ? command : `/${command}`;
+
+        const problem = this.validateCommand(cmd);
+        if (problem) {
+            if (!silent) logger.warn(problem);
+            if (config.commands?.blockUnknown ?? true) {
+                return { output: null, error: problem };
+            }
+        }
+
+        if (!this.queue.accepts("command", cmd)) {
+            const error = `Queue full (${this.queue.pending.length} pending), dropped: ${cmd}`;
+            if (!silent) logger.warn(error);
+            return { output: null, error };
+        }
+
+        const output = this.queue.push({
+            kind: "command",
+            text: cmd,
+            priority,
+            silent,
+            run: () => this.writeCommand(cmd, { silent, timeoutMs }),
+        });
+        return { output, error: null };
+    }
+
+    /**
+     * Track and write one command_request. Called by the queue when it's this command's turn.
+     * @returns {Promise<object>} the command_output
+     * @private
+     */
+    writeCommand(cmd, { silent, timeoutMs }) {
+        const { logger } = this;
+        if (!this.client) throw new Error("Not connected");
+
+        const { requestId, promise } = this.commands.track(cmd, { silent, timeoutMs });
+
+        try {
+            this.client.write("command_request", {
+                command: cmd,
+                origin: {
+                    type: "player",
+                    uuid: requestId,
+                    request_id: requestId,
+                    player_entity_id: 0,
+                },
+                internal: false,
+                version: "52",
+            });
+
+            if (!silent) {
+                logger.info(`Sent: ${cmd}`);
+            }
+            return promise;
+        } catch (error) {
+            if (!silent) {
+                logger.error(`Command error: ${error.message}`);
+            }
+            promise.catch(() => {});
+            this.commands.cancel(requestId, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send a command and wait for the chest GUI it opens.
+     * @param {string} command
+     * @param {number} [timeoutMs] - Defaults to config.gui.timeoutMs (10000)
+     * @returns {Promise<object>} the open container, rejects on timeout
+     */
+    async execAndWaitForGui(command, timeoutMs) {
+        if (!this.connected) {
+            throw new Error("Not connected");
+        }
+
+        // Start listening before sending so a fast reply isn't missed
+        const opened = this.gui.waitForOpen(timeoutMs, { fresh: true });
+        if (!this.exec(command)) {
+            this.gui.rejectWaiters(new Error("Command not sent"));
+        }
+        return opened;
+    }
+
+    /**
+     * Snapshot of the connection for status displays.
+     */
+    getStatus() {
+        const { state, config } = this;
+        return {
+            state: state.state,
+            since: state.since,
+            server: `${config.server.ip}:${config.server.port}`,
+            name: this.name,
+            username: this.username,
+            commandsAvailable: state.commandsAvailable,
+            inventoryReady: state.inventoryReady,
+            playersOnline: this.players.size,
+            position: this.player.position,
+            dimension: this.player.dimension,
+            health: this.player.health,
+            alive: this.player.alive,
+            deaths: this.player.deaths,
+            moving: this.movement.moving,
+            stats: this.scoreboard.values(),
+            lastPongTime: this.lastPongTime,
+            reconnectAttempts: this.reconnectPolicy.attempts,
+            lastDisconnect: this.lastDisconnect,
+            recording: this.recorder.recording ? this.recorder.file : null,
+            replaying: this.replaying,
+        };
+    }
+
+    /**
+     * Don't sit in WAITING_COMMANDS forever if the server never sends
+     * available_commands or the player inventory.
+     * @private
+     */
+    startReadyTimer() {
+        clearTimeout(this.readyTimer);
+        const timeoutMs = this.config.readyTimeoutMs ?? DEFAULT_READY_TIMEOUT_MS;
+
+        this.readyTimer = setTimeout(() => {
+            this.readyTimer = null;
+            const { commandsAvailable, inventoryReady } = this.state;
+            if (this.state.transition(ConnectionState.READY,
+                `Timed out waiting for${commandsAvailable ? "" : " commands"}${inventoryReady ? "" : " inventory"}`)) {
+                this.logger.warn("Ready state forced after timeout");
+            }
+        }, timeoutMs);
+    }
+
+    // Liveness checker with auto-reconnect, sends a latency probe every interval
+    /** @private */
+    startPingMonitor() {
+        const { config, logger } = this;
+
+        if (this.pingInterval) {
+            clearInterval(this.pingInterval);
+        }
+
+        // Reset ping times
+        this.lastPingTime = Date.now();
+        this.lastPongTime = Date.now();
+
+        this.pingInterval = setInterval(() => {
+            if (!this.connected || !this.client) return;
+
+            const now = Date.now();
+            const timeSinceLastPong = now - this.lastPongTime;
+
+            // Check if server is not responding
+            if (timeSinceLastPong > config.ping.timeoutMs) {
+                logger.warn(`Timeout detected (${timeSinceLastPong}ms since last response)`);
+                this.handleDisconnect(`Timeout (${timeSinceLastPong}ms)`);
+                return;
+            }
+
+            this.latency.probe();
+            this.lastPingTime = now;
+        }, config.ping.intervalMs);
+    }
+
+    /** @private */
+    stopPingMonitor() {
+        if (this.pingInterval) {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+        }
+    }
+}
+
+export default BedrockHeadlessClient;
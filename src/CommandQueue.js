@@ -0,0 +1,200 @@
+/**
+ * COMMAND QUEUE
+ * Every outgoing command and chat message goes through here, so bursts from
+ * triggers, jobs and scripts can't get the account kicked for spam.
+ *
+ * - Rate limit: at most maxPerWindow sends in any windowMs
+ * - Priorities: user-typed commands go before automated ones (see Priority)
+ * - Deduplication: an identical pending entry is shared instead of queued twice
+ * - Pending entries are dropped on disconnect or once older than maxAgeMs
+ */
+
+export const Priority = Object.freeze({
+    USER: 0,        // typed in the REPL or sent through the API
+    NORMAL: 1,      // library calls and scripts
+    AUTO: 2,        // triggers and scheduled jobs
+    BACKGROUND: 3,  // housekeeping such as the chat ping probe
+});
+
+const PRIORITY_NAMES = Object.fromEntries(Object.entries(Priority).map(([k, v]) => [v, k.toLowerCase()]));
+
+const DEFAULTS = {
+    maxPerWindow: 4,
+    windowMs: 5000,
+    maxSize: 50,
+    maxAgeMs: 60000,
+};
+
+export class CommandQueue {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.pending = [];
+        this.sentTimes = [];
+        this.timer = null;
+        this.seq = 0;
+    }
+
+    get options() {
+        return { ...DEFAULTS, ...this.bot.config.queue };
+    }
+
+    /**
+     * Queue an outgoing message. Sent right away if the rate limit allows.
+     * @param {object} entry
+     * @param {string} entry.kind - "command" or "chat"
+     * @param {string} entry.text - What is sent, used for deduplication and listings
+     * @param {number} [entry.priority=Priority.NORMAL]
+     * @param {boolean} [entry.silent=false] - Don't log queueing
+     * @param {() => any} entry.run - Does the actual write; its result resolves the promise
+     * @returns {Promise<any>} rejects if the entry is dropped or run() throws
+     */
+    push({ kind, text, priority = Priority.NORMAL, silent = false, run }) {
+        const key = `${kind}:${text}`;
+        const duplicate = this.pending.find((e) => e.key === key);
+        if (duplicate) {
+            // Keep the better priority so a user retyping an automated command isn't held back
+            if (priority < duplicate.priority) {
+                duplicate.priority = priority;
+                this.sort();
+            }
+            if (!silent) this.bot.logger.info(`Already queued: ${text}`);
+            return duplicate.promise;
+        }
+
+        if (this.pending.length >= this.options.maxSize) {
+            return Promise.reject(new Error(`Queue full (${this.pending.length} pending), dropped: ${text}`));
+        }
+
+        const entry = { key, kind, text, priority, silent, run, queuedAt: Date.now(), seq: this.seq++ };
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+
+        this.pending.push(entry);
+        this.sort();
+        this.drain();
+
+        if (this.pending.includes(entry) && !silent) {
+            this.bot.logger.info(`Queued: ${text} (${this.pending.length} pending)`);
+        }
+        return entry.promise;
+    }
+
+    /**
+     * Whether push() would take an entry now: the queue has room, or an identical
+     * entry is already pending and would be shared.
+     */
+    accepts(kind, text) {
+        const key = `${kind}:${text}`;
+        return this.pending.length < this.options.maxSize || this.pending.some((e) => e.key === key);
+    }
+
+    /**
+     * Drop every pending entry, e.g. on disconnect.
+     */
+    clear(reason = "Disconnected") {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const dropped = this.pending;
+        this.pending = [];
+        for (const entry of dropped) {
+            entry.reject(new Error(`Dropped ${entry.text}: ${reason}`));
+        }
+        return dropped.length;
+    }
+
+    /**
+     * Pending entries in send order, for listings.
+     */
+    list() {
+        const now = Date.now();
+        return this.pending.map((e) => ({
+            kind: e.kind,
+            text: e.text,
+            priority: PRIORITY_NAMES[e.priority] ?? String(e.priority),
+            ageMs: now - e.queuedAt,
+        }));
+    }
+
+    /**
+     * Sends used in the current window and when the next slot frees up.
+     */
+    getStats() {
+        const { maxPerWindow, windowMs } = this.options;
+        this.prune(Date.now());
+        return {
+            pending: this.pending.length,
+            sentInWindow: this.sentTimes.length,
+            maxPerWindow,
+            windowMs,
+            nextSlotMs: this.waitTime(Date.now()),
+        };
+    }
+
+    /** @private */
+    sort() {
+        this.pending.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+    }
+
+    /** @private */
+    prune(now) {
+        const { windowMs } = this.options;
+        while (this.sentTimes.length && now - this.sentTimes[0] >= windowMs) {
+            this.sentTimes.shift();
+        }
+    }
+
+    /**
+     * Milliseconds until another send fits in the window (0 = now).
+     * @private
+     */
+    waitTime(now) {
+        const { maxPerWindow, windowMs } = this.options;
+        if (this.sentTimes.length < maxPerWindow) return 0;
+        return Math.max(0, this.sentTimes[this.sentTimes.length - maxPerWindow] + windowMs - now);
+    }
+
+    /**
+     * Send as many entries as the rate limit allows, then wait for the next slot.
+     * @private
+     */
+    drain() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const { maxAgeMs } = this.options;
+        while (this.pending.length > 0) {
+            const now = Date.now();
+
+            const stale = this.pending.filter((e) => maxAgeMs > 0 && now - e.queuedAt > maxAgeMs);
+            for (const entry of stale) {
+                this.pending.splice(this.pending.indexOf(entry), 1);
+                this.bot.logger.warn(`Dropped stale ${entry.kind}: ${entry.text}`);
+                entry.reject(new Error(`Dropped ${entry.text}: waited longer than ${maxAgeMs}ms`));
+            }
+            if (this.pending.length === 0) break;
+
+            this.prune(now);
+            const wait = this.waitTime(now);
+            if (wait > 0) {
+                this.timer = setTimeout(() => this.drain(), wait);
+                return;
+            }
+
+            const entry = this.pending.shift();
+            this.sentTimes.push(now);
+            try {
+                entry.resolve(entry.run());
+            } catch (error) {
+                entry.reject(error);
+            }
+        }
+    }
+}
+
+export default CommandQueue;
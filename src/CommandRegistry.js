@@ -0,0 +1,248 @@
+/**
+ * COMMAND REGISTRY
+ * Decodes the server's available_commands tree into commands → overloads → parameters,
+ * for tab completion, listings and checking commands before they are sent.
+ */
+
+// value_type names as decoded by bedrock-protocol, used to recover raw enum
+// indexes that the protocol mapper turned into type names
+const VALUE_TYPE_IDS = {
+    int: 1, float: 3, value: 4, wildcard_int: 5, operator: 6, command_operator: 7,
+    target: 8, wildcard_target: 10, file_path: 17, integer_range: 23, equipment_slots: 43,
+    string: 44, block_position: 52, position: 53, message: 55, raw_text: 58, json: 62,
+    block_states: 71, command: 75,
+};
+
+const TARGET_SELECTORS = ["@a", "@e", "@p", "@r", "@s"];
+
+function rawIndex(valueType) {
+    return typeof valueType === "number" ? valueType : (VALUE_TYPE_IDS[valueType] ?? -1);
+}
+
+/**
+ * Levenshtein distance, for "did you mean" suggestions.
+ */
+function distance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const tmp = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+            prev = tmp;
+        }
+    }
+    return row[b.length];
+}
+
+/**
+ * Decode one parameter. Enum parameters carry their enum name and values
+ * (soft enums are resolved lazily since update_soft_enum can change them).
+ */
+function parseParameter(param, packet) {
+    const base = { name: param.parameter_name, optional: Boolean(param.optional) };
+    const index = rawIndex(param.value_type);
+
+    switch (param.enum_type) {
+        case "enum": {
+            const en = packet.enums?.[index];
+            return {
+                ...base,
+                type: "enum",
+                enumName: en?.name || `enum#${index}`,
+                values: (en?.values || []).map((v) => packet.enum_values[v]),
+            };
+        }
+        case "soft_enum": {
+            const en = packet.dynamic_enums?.[index];
+            return { ...base, type: "soft_enum", enumName: en?.name || `soft#${index}`, values: null };
+        }
+        case "suffixed":
+            return { ...base, type: "suffixed", suffix: packet.suffixes?.[index] || "" };
+        default:
+            return { ...base, type: typeof param.value_type === "string" ? param.value_type : `type#${index}` };
+    }
+}
+
+/**
+ * Decode an available_commands packet.
+ * @returns {Map<string, object>} command name → { name, description, aliases, permission, overloads }
+ */
+export function parseAvailableCommands(packet) {
+    const commands = new Map();
+
+    for (const data of packet.command_data || []) {
+        const aliasEnum = data.alias >= 0 ? packet.enums?.[data.alias] : null;
+        const aliases = (aliasEnum?.values || [])
+            .map((v) => packet.enum_values[v])
+            .filter((a) => a && a !== data.name);
+
+        commands.set(data.name, {
+            name: data.name,
+            description: data.description,
+            permission: data.permission_level,
+            aliases,
+            overloads: (data.overloads || []).map((o) => ({
+                parameters: (o.parameters || []).map((p) => parseParameter(p, packet)),
+            })),
+        });
+    }
+
+    return commands;
+}
+
+export class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+        this.aliases = new Map();
+        this.softEnums = new Map();
+    }
+
+    /**
+     * Register packet handlers. `on` is the client's stale-safe subscribe function.
+     */
+    register(on) {
+        on("available_commands", (packet) => {
+            this.load(packet);
+        });
+
+        on("update_soft_enum", (packet) => {
+            const current = new Set(this.softEnums.get(packet.enum_type) || []);
+            if (packet.action_type === "add") {
+                packet.options.forEach((o) => current.add(o));
+            } else if (packet.action_type === "remove") {
+                packet.options.forEach((o) => current.delete(o));
+            } else {
+                current.clear();
+                packet.options.forEach((o) => current.add(o));
+            }
+            this.softEnums.set(packet.enum_type, [...current]);
+        });
+    }
+
+    load(packet) {
+        this.commands = parseAvailableCommands(packet);
+        this.aliases.clear();
+        for (const command of this.commands.values()) {
+            for (const alias of command.aliases) this.aliases.set(alias, command.name);
+        }
+
+        this.softEnums.clear();
+        for (const en of packet.dynamic_enums || []) {
+            this.softEnums.set(en.name, [...en.values]);
+        }
+    }
+
+    clear() {
+        this.commands.clear();
+        this.aliases.clear();
+        this.softEnums.clear();
+    }
+
+    /** Whether the server has sent its command list yet */
+    get loaded() {
+        return this.commands.size > 0;
+    }
+
+    /** Look up a command by name or alias (without slash) */
+    get(name) {
+        const key = String(name).replace(/^\//, "").toLowerCase();
+        return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+    }
+
+    has(name) {
+        return this.get(name) !== null;
+    }
+
+    /**
+     * Commands whose name, alias or description contains the filter, sorted by name.
+     */
+    list(filter = "") {
+        const needle = filter.replace(/^\//, "").toLowerCase();
+        return [...this.commands.values()]
+            .filter((c) => !needle
+                || c.name.includes(needle)
+                || c.aliases.some((a) => a.includes(needle))
+                || c.description.toLowerCase().includes(needle))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /** Closest known command names, for typo hints */
+    suggest(name, max = 3) {
+        const key = String(name).replace(/^\//, "").toLowerCase();
+        return [...this.commands.keys(), ...this.aliases.keys()]
+            .map((n) => ({ n, d: distance(key, n) }))
+            .filter(({ d }) => d <= Math.max(2, Math.floor(key.length / 3)))
+            .sort((a, b) => a.d - b.d)
+            .slice(0, max)
+            .map(({ n }) => n);
+    }
+
+    /** Values of an enum parameter, resolving soft enums */
+    enumValues(param) {
+        if (param.type === "soft_enum") return this.softEnums.get(param.enumName) || [];
+        return param.values || [];
+    }
+
+    /**
+     * Render one overload as usage text: /name <required: type> [optional: type]
+     */
+    formatUsage(command, overload) {
+        const params = overload.parameters.map((p) => {
+            let type = p.type;
+            if (p.type === "enum" || p.type === "soft_enum") {
+                const values = this.enumValues(p);
+                type = values.length > 0 && values.length <= 6 ? values.join("|") : p.enumName;
+            } else if (p.type === "suffixed") {
+                type = `int${p.suffix}`;
+            }
+            return p.optional ? `[${p.name}: ${type}]` : `<${p.name}: ${type}>`;
+        });
+        return [`/${command.name}`, ...params].join(" ");
+    }
+
+    /**
+     * Tab completion for a command line (without the leading "exec ").
+     * @param {string} line - e.g. "gamemode cr"
+     * @returns {string[]} candidate replacements for the last word
+     */
+    complete(line) {
+        const words = line.replace(/^\//, "").split(/\s+/);
+        const partial = words[words.length - 1].toLowerCase();
+        const slash = line.startsWith("/") && words.length === 1 ? "/" : "";
+
+        if (words.length === 1) {
+            return [...this.commands.keys(), ...this.aliases.keys()]
+                .filter((n) => n.startsWith(partial))
+                .sort()
+                .map((n) => `${slash}${n}`);
+        }
+
+        const command = this.get(words[0]);
+        if (!command) return [];
+
+        const argIndex = words.length - 2;
+        const candidates = new Set();
+
+        for (const overload of command.overloads) {
+            // Only follow overloads whose earlier enum arguments match what was typed
+            const matches = overload.parameters.slice(0, argIndex).every((p, i) => {
+                if (p.type !== "enum") return true;
+                return this.enumValues(p).includes(words[i + 1]);
+            });
+            const param = overload.parameters[argIndex];
+            if (!matches || !param) continue;
+
+            if (param.type === "enum" || param.type === "soft_enum") {
+                this.enumValues(param).forEach((v) => candidates.add(v));
+            } else if (param.type === "target" || param.type === "wildcard_target") {
+                TARGET_SELECTORS.forEach((v) => candidates.add(v));
+            }
+        }
+
+        return [...candidates].filter((c) => c.toLowerCase().startsWith(partial)).sort();
+    }
+}
+
+export default CommandRegistry;
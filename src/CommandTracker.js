@@ -0,0 +1,150 @@
+/**
+ * COMMAND TRACKER
+ * Gives every command_request a unique ID and matches command_output back to it.
+ *
+ * Emits on the owning client:
+ *   commandOutput (result)  - see parseOutput(); result.command is null if unmatched
+ */
+
+import { randomUUID } from "crypto";
+import { translate } from "./translate.js";
+
+const DEFAULT_OUTPUT_TIMEOUT_MS = 5000;
+
+/**
+ * The server never answered a command, as opposed to the command not being sent.
+ */
+export class CommandTimeoutError extends Error {
+    constructor(command, timeoutMs) {
+        super(`No command_output for ${command} within ${timeoutMs}ms`);
+        this.name = "CommandTimeoutError";
+        this.code = "ETIMEDOUT";
+        this.command = command;
+    }
+}
+
+/**
+ * Turn a command_output packet into a plain result.
+ */
+export function parseOutput(packet) {
+    const messages = (packet.output || []).map((m) => ({
+        key: m.message_id,
+        text: translate(m.message_id, m.parameters || []),
+        success: Boolean(m.success),
+        parameters: m.parameters || [],
+    }));
+
+    const successCount = packet.success_count ?? 0;
+
+    return {
+        success: messages.length > 0 ? messages.every((m) => m.success) : successCount > 0,
+        successCount,
+        outputType: packet.output_type,
+        messages,
+        data: packet.data ?? null,
+    };
+}
+
+export class CommandTracker {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.pending = new Map();
+    }
+
+    get timeoutMs() {
+        return this.bot.config.commands?.outputTimeoutMs ?? DEFAULT_OUTPUT_TIMEOUT_MS;
+    }
+
+    /**
+     * Register packet handlers. `on` is the client's stale-safe subscribe function.
+     */
+    register(on) {
+        on("command_output", (packet) => {
+            const entry = this.match(packet.origin);
+            const result = parseOutput(packet);
+
+            if (entry) {
+                this.pending.delete(entry.requestId);
+                clearTimeout(entry.timer);
+                result.command = entry.command;
+                result.requestId = entry.requestId;
+                result.latencyMs = Date.now() - entry.sentAt;
+            } else {
+                result.command = null;
+                result.requestId = packet.origin?.request_id || null;
+            }
+
+            if (!entry?.silent) {
+                for (const message of result.messages) {
+                    const line = `${message.success ? "✓" : "✗"} ${message.text}`;
+                    if (message.success) {
+                        this.bot.logger.info(line);
+                    } else {
+                        this.bot.logger.warn(line);
+                    }
+                }
+            }
+
+            this.bot.emit("commandOutput", result);
+            entry?.resolve(result);
+        });
+    }
+
+    /**
+     * Find the pending command a command_output belongs to. Servers that don't
+     * echo the request ID get the oldest pending command.
+     * @private
+     */
+    match(origin) {
+        for (const id of [origin?.request_id, origin?.uuid]) {
+            if (id && this.pending.has(id)) return this.pending.get(id);
+        }
+        // Echoed but unknown: the command already timed out
+        if (origin?.request_id) return null;
+        return this.pending.values().next().value || null;
+    }
+
+    /**
+     * Start tracking a command that is about to be sent.
+     * @returns {{ requestId: string, promise: Promise<object> }}
+     */
+    track(command, { silent = false, timeoutMs = this.timeoutMs } = {}) {
+        const requestId = randomUUID();
+
+        const promise = new Promise((resolve, reject) => {
+            const entry = { requestId, command, silent, resolve, reject, sentAt: Date.now() };
+            entry.timer = setTimeout(() => {
+                this.pending.delete(requestId);
+                reject(new CommandTimeoutError(command, timeoutMs));
+            }, timeoutMs);
+            this.pending.set(requestId, entry);
+        });
+
+        return { requestId, promise };
+    }
+
+    /**
+     * Stop tracking a command, e.g. because writing it failed.
+     */
+    cancel(requestId, error) {
+        const entry = this.pending.get(requestId);
+        if (!entry) return;
+        this.pending.delete(requestId);
+        clearTimeout(entry.timer);
+        entry.reject(error);
+    }
+
+    /**
+     * Fail every pending command.
+     */
+    reset(reason = "Disconnected") {
+        for (const requestId of [...this.pending.keys()]) {
+            this.cancel(requestId, new Error(`Command aborted: ${reason}`));
+        }
+    }
+}
+
+export default CommandTracker;
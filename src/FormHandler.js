@@ -0,0 +1,448 @@
+/**
+ * FORM HANDLER
+ * Parses modal_form_request payloads and answers them with modal_form_response.
+ *
+ * Form types (the "type" field of the JSON payload):
+ *   form         - simple form, a list of buttons → response is the button index
+ *   modal        - yes/no dialog                  → response is true/false
+ *   custom_form  - inputs, toggles, dropdowns...  → response is one value per element
+ *
+ * Emits on the owning client:
+ *   formOpen  (form)
+ *   formClose ({ formId, reason })  - reason: "submitted", "closed" or "timeout"
+ */
+
+import { stripMinecraftColors } from "./text.js";
+
+const DEFAULT_FORM_TIMEOUT_MS = 60000;
+
+/**
+ * Turn one raw custom_form element into a normalized description.
+ */
+function parseElement(element, index) {
+    const text = stripMinecraftColors(String(element.text ?? ""));
+
+    switch (element.type) {
+        case "input":
+            return { index, type: "input", text, placeholder: element.placeholder ?? "", default: element.default ?? "" };
+        case "toggle":
+            return { index, type: "toggle", text, default: Boolean(element.default) };
+        case "dropdown":
+            return {
+                index, type: "dropdown", text,
+                options: (element.options || []).map((o) => stripMinecraftColors(String(o))),
+                default: element.default ?? 0,
+            };
+        case "slider":
+            return {
+                index, type: "slider", text,
+                min: element.min ?? 0, max: element.max ?? 0, step: element.step ?? 1,
+                default: element.default ?? element.min ?? 0,
+            };
+        case "step_slider":
+            return {
+                index, type: "step_slider", text,
+                options: (element.steps || []).map((o) => stripMinecraftColors(String(o))),
+                default: element.default ?? 0,
+            };
+        default:
+            // label, header, divider: display only, answered with null
+            return { index, type: element.type || "label", text, display: true };
+    }
+}
+
+/**
+ * Parse the JSON payload of a modal_form_request.
+ * @param {number} formId
+ * @param {string} data - JSON string from the packet
+ * @returns {object} { id, type, title, ... } with type "simple", "modal" or "custom"
+ */
+export function parseForm(formId, data) {
+    const raw = typeof data === "string" ? JSON.parse(data) : data;
+    const title = stripMinecraftColors(String(raw.title ?? ""));
+
+    switch (raw.type) {
+        case "form":
+            return {
+                id: formId,
+                type: "simple",
+                title,
+                content: stripMinecraftColors(String(raw.content ?? "")),
+                buttons: (raw.buttons || []).map((b, index) => ({
+                    index,
+                    text: stripMinecraftColors(String(b.text ?? "")),
+                    image: b.image?.data || null,
+                })),
+            };
+        case "modal":
+            return {
+                id: formId,
+                type: "modal",
+                title,
+                content: stripMinecraftColors(String(raw.content ?? "")),
+                button1: stripMinecraftColors(String(raw.button1 ?? "Yes")),
+                button2: stripMinecraftColors(String(raw.button2 ?? "No")),
+            };
+        case "custom_form":
+            return {
+                id: formId,
+                type: "custom",
+                title,
+                elements: (raw.content || []).map(parseElement),
+            };
+        default:
+            throw new Error(`Unknown form type: ${raw.type}`);
+    }
+}
+
+/**
+ * Default answer for a custom form: every element at its default value.
+ */
+export function defaultResponse(form) {
+    return form.elements.map((el) => (el.display ? null : el.default));
+}
+
+/**
+ * Render a parsed form as text lines for the console.
+ */
+export function formatForm(form) {
+    const lines = [`Form #${form.id} (${form.type}): ${form.title}`];
+
+    if (form.content) {
+        form.content.split("\n").forEach((l) => lines.push(`  ${l}`));
+    }
+
+    if (form.type === "simple") {
+        form.buttons.forEach((b) => lines.push(`  [${b.index}] ${b.text}`));
+        lines.push("Answer: form <index|button text>");
+    } else if (form.type === "modal") {
+        lines.push(`  [yes] ${form.button1}`);
+        lines.push(`  [no]  ${form.button2}`);
+        lines.push("Answer: form yes|no");
+    } else {
+        for (const el of form.elements) {
+            const prefix = `  ${el.index}. `;
+            switch (el.type) {
+                case "input":
+                    lines.push(`${prefix}[input] ${el.text} (default: "${el.default}"${el.placeholder ? `, hint: ${el.placeholder}` : ""})`);
+                    break;
+                case "toggle":
+                    lines.push(`${prefix}[toggle] ${el.text} (default: ${el.default})`);
+                    break;
+                case "dropdown":
+                case "step_slider":
+                    lines.push(`${prefix}[${el.type}] ${el.text} (default: ${el.default})`);
+                    el.options.forEach((o, i) => lines.push(`       ${i}: ${o}`));
+                    break;
+                case "slider":
+                    lines.push(`${prefix}[slider] ${el.text} (${el.min}-${el.max} step ${el.step}, default: ${el.default})`);
+                    break;
+                default:
+                    if (el.text) lines.push(`${prefix}${el.text}`);
+            }
+        }
+        lines.push(`Answer: form submit <json array>, e.g. ${JSON.stringify(defaultResponse(form))}`);
+    }
+
+    lines.push("Close: form close");
+    return lines;
+}
+
+/**
+ * Validate a custom form response, one value per element.
+ * @returns {string|null} error message, or null if valid
+ */
+function validateCustomResponse(form, values) {
+    if (!Array.isArray(values)) return "Custom form response must be a JSON array";
+    if (values.length !== form.elements.length) {
+        return `Expected ${form.elements.length} values, got ${values.length}`;
+    }
+
+    for (const el of form.elements) {
+        const value = values[el.index];
+        switch (el.type) {
+            case "input":
+                if (typeof value !== "string") return `Element ${el.index} (input) needs a string`;
+                break;
+            case "toggle":
+                if (typeof value !== "boolean") return `Element ${el.index} (toggle) needs true/false`;
+                break;
+            case "dropdown":
+            case "step_slider":
+                if (!Number.isInteger(value) || value < 0 || value >= el.options.length) {
+                    return `Element ${el.index} (${el.type}) needs an option index 0-${el.options.length - 1}`;
+                }
+                break;
+            case "slider":
+                if (typeof value !== "number" || value < el.min || value > el.max) {
+                    return `Element ${el.index} (slider) needs a number ${el.min}-${el.max}`;
+                }
+                break;
+            default:
+                break;
+        }
+    }
+    return null;
+}
+
+export class FormHandler {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.form = null;
+        this.timer = null;
+        this.waiters = [];
+    }
+
+    get timeoutMs() {
+        return this.bot.config.forms?.timeoutMs ?? DEFAULT_FORM_TIMEOUT_MS;
+    }
+
+    /**
+     * Register packet handlers. `on` is the client's stale-safe subscribe function.
+     */
+    register(on) {
+        on("modal_form_request", (packet) => {
+            let form;
+            try {
+                form = parseForm(packet.form_id, packet.data);
+            } catch (error) {
+                this.bot.logger.warn(`Unreadable form #${packet.form_id}: ${error.message}`);
+                this.bot.logger.info(`Modal form: ${JSON.stringify(packet)}`);
+                return;
+            }
+
+            // A new form replaces any unanswered one
+            clearTimeout(this.timer);
+            this.form = form;
+            formatForm(form).forEach((l) => this.bot.logger.info(l));
+            this.startTimeout();
+
+            this.bot.emit("formOpen", form);
+            this.resolveWaiters();
+        });
+    }
+
+    /** @private */
+    startTimeout() {
+        const timeoutMs = this.timeoutMs;
+        if (!timeoutMs) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (!this.form) return;
+            this.bot.logger.warn(`Form #${this.form.id} not answered in ${timeoutMs}ms, closing`);
+            this.close("timeout");
+        }, timeoutMs);
+    }
+
+    /**
+     * Forget the current form (without answering) and fail pending waits.
+     */
+    reset(reason = "Disconnected") {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.form = null;
+        this.rejectWaiters(new Error(`Form wait aborted: ${reason}`));
+    }
+
+    /**
+     * Resolve with the next form the server sends.
+     * @param {number} [timeoutMs]
+     * @param {object} [options]
+     * @param {boolean} [options.fresh=false] - Ignore a form that is already open
+     */
+    waitForForm(timeoutMs = this.timeoutMs, { fresh = false } = {}) {
+        if (!fresh && this.form) {
+            return Promise.resolve(this.form);
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter((w) => w !== waiter);
+                reject(new Error("Form timeout: no ModalFormRequest received"));
+            }, timeoutMs);
+            this.waiters.push(waiter);
+        });
+    }
+
+    /** @private */
+    resolveWaiters() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        for (const waiter of waiters) {
+            clearTimeout(waiter.timer);
+            waiter.resolve(this.form);
+        }
+    }
+
+    rejectWaiters(error) {
+        const waiters = this.waiters;
+        this.waiters = [];
+        for (const waiter of waiters) {
+            clearTimeout(waiter.timer);
+            waiter.reject(error);
+        }
+    }
+
+    /**
+     * Answer the open form.
+     * @param {number|boolean|Array} value - Button index, true/false, or custom values
+     * @returns {boolean} true if the response was sent
+     */
+    respond(value) {
+        const { bot, form } = this;
+
+        if (!form) {
+            bot.logger.warn("No form open");
+            return false;
+        }
+
+        let error = null;
+        if (form.type === "simple") {
+            if (!Number.isInteger(value) || value < 0 || value >= form.buttons.length) {
+                error = `Button index must be 0-${form.buttons.length - 1}`;
+            }
+        } else if (form.type === "modal") {
+            if (typeof value !== "boolean") error = "Modal form response must be true or false";
+        } else {
+            error = validateCustomResponse(form, value);
+        }
+
+        if (error) {
+            bot.logger.warn(error);
+            return false;
+        }
+
+        if (!this.write({
+            form_id: form.id,
+            has_response_data: true,
+            data: JSON.stringify(value),
+            has_cancel_reason: false,
+        })) {
+            return false;
+        }
+
+        bot.logger.info(`Form #${form.id} answered: ${JSON.stringify(value)}`);
+        this.finish("submitted");
+        return true;
+    }
+
+    /**
+     * Answer the open form from REPL text.
+     *   simple: button index or (partial) button text
+     *   modal:  yes/no/true/false
+     */
+    respondText(text) {
+        const { form } = this;
+        if (!form) {
+            this.bot.logger.warn("No form open");
+            return false;
+        }
+
+        const input = text.trim();
+
+        if (form.type === "simple") {
+            if (/^\d+$/.test(input)) return this.respond(Number(input));
+            const needle = input.toLowerCase();
+            const button = form.buttons.find((b) => b.text.toLowerCase() === needle)
+                || form.buttons.find((b) => b.text.toLowerCase().includes(needle));
+            if (!button) {
+                this.bot.logger.warn(`No button matching "${input}"`);
+                return false;
+            }
+            return this.respond(button.index);
+        }
+
+        if (form.type === "modal") {
+            const answer = input.toLowerCase();
+            if (["yes", "y", "true", "1", form.button1.toLowerCase()].includes(answer)) return this.respond(true);
+            if (["no", "n", "false", "2", form.button2.toLowerCase()].includes(answer)) return this.respond(false);
+            this.bot.logger.warn("Answer yes or no");
+            return false;
+        }
+
+        this.bot.logger.warn("Custom form: use form submit <json array>");
+        return false;
+    }
+
+    /**
+     * Answer a custom form with a JSON array, or the defaults if none given.
+     */
+    submitJson(json) {
+        const { form } = this;
+        if (!form) {
+            this.bot.logger.warn("No form open");
+            return false;
+        }
+
+        if (!json) {
+            if (form.type !== "custom") {
+                this.bot.logger.warn("form submit needs a value for this form type");
+                return false;
+            }
+            return this.respond(defaultResponse(form));
+        }
+
+        let value;
+        try {
+            value = JSON.parse(json);
+        } catch (error) {
+            this.bot.logger.warn(`Invalid JSON: ${error.message}`);
+            return false;
+        }
+        return this.respond(value);
+    }
+
+    /**
+     * Close the open form without answering (the X button).
+     */
+    close(reason = "closed") {
+        const { form } = this;
+        if (!form) {
+            this.bot.logger.warn("No form open");
+            return false;
+        }
+
+        this.write({
+            form_id: form.id,
+            has_response_data: false,
+            has_cancel_reason: true,
+            cancel_reason: "closed",
+        });
+        this.bot.logger.info(`Form #${form.id} closed`);
+        this.finish(reason);
+        return true;
+    }
+
+    /** @private */
+    write(params) {
+        const { bot } = this;
+        if (!bot.client) {
+            bot.logger.warn("Not connected");
+            return false;
+        }
+
+        try {
+            bot.client.write("modal_form_response", params);
+            return true;
+        } catch (error) {
+            bot.logger.error(`Form response error: ${error.message}`);
+            return false;
+        }
+    }
+
+    /** @private */
+    finish(reason) {
+        const formId = this.form.id;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.form = null;
+        this.bot.emit("formClose", { formId, reason });
+    }
+}
+
+export default FormHandler;
@@ -0,0 +1,238 @@
+/**
+ * GUI HANDLER
+ * Tracks chest/container windows opened by the server and clicks their slots.
+ *
+ * Packet sequence:
+ *   Server → container_open (windowId, type)
+ *   Server → inventory_content (windowId, slots[])
+ *   Client → inventory_transaction (NORMAL, CONTAINER, windowId, slot)
+ *   Server → container_close
+ *
+ * Emits on the owning client:
+ *   guiOpen    (container)           - container_open received
+ *   guiContent (container)           - slot contents received or updated
+ *   guiClose   ({ windowId, byServer })
+ */
+
+import { stripMinecraftColors } from "./text.js";
+
+const DEFAULT_GUI_TIMEOUT_MS = 10000;
+const EMPTY_ITEM = { network_id: 0 };
+const ROW_SIZE = 9;
+
+export class GUIHandler {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.container = null;
+        this.waiters = [];
+    }
+
+    get timeoutMs() {
+        return this.bot.config.gui?.timeoutMs ?? DEFAULT_GUI_TIMEOUT_MS;
+    }
+
+    /**
+     * Register packet handlers. `on` is the client's stale-safe subscribe function.
+     */
+    register(on) {
+        on("container_open", (packet) => {
+            this.container = {
+                windowId: packet.window_id,
+                type: packet.window_type,
+                slots: [],
+                received: false,
+                openedAt: Date.now(),
+            };
+            this.bot.logger.info(`Container opened: type=${packet.window_type}, windowId=${packet.window_id}`);
+            this.bot.emit("guiOpen", this.container);
+        });
+
+        on("inventory_content", (packet) => {
+            if (!this.container || packet.window_id !== this.container.windowId) return;
+
+            this.container.slots = packet.input || [];
+            this.container.received = true;
+            this.bot.logger.info(`Container inventory received: ${this.container.slots.length} slots`);
+            this.bot.emit("guiContent", this.container);
+            this.resolveWaiters();
+        });
+
+        on("inventory_slot", (packet) => {
+            if (!this.container || packet.window_id !== this.container.windowId) return;
+
+            this.container.slots[packet.slot] = packet.item;
+            this.bot.emit("guiContent", this.container);
+        });
+
+        on("container_close", (packet) => {
+            if (!this.container || packet.window_id !== this.container.windowId) return;
+
+            this.bot.logger.info("Container closed by server");
+            this.container = null;
+            this.bot.emit("guiClose", { windowId: packet.window_id, byServer: true });
+        });
+    }
+
+    /**
+     * Forget the open window and fail anyone still waiting for one.
+     */
+    reset(reason = "Disconnected") {
+        this.container = null;
+        this.rejectWaiters(new Error(`GUI wait aborted: ${reason}`));
+    }
+
+    /**
+     * Resolve with the container once its slot contents have arrived.
+     * @param {number} [timeoutMs]
+     * @param {object} [options]
+     * @param {boolean} [options.fresh=false] - Ignore a container that is already open
+     * @returns {Promise<object>}
+     */
+    waitForOpen(timeoutMs = this.timeoutMs, { fresh = false } = {}) {
+        if (!fresh && this.container?.received) {
+            return Promise.resolve(this.container);
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter((w) => w !== waiter);
+                reject(new Error("GUI timeout: no ContainerOpen received"));
+            }, timeoutMs);
+            this.waiters.push(waiter);
+        });
+    }
+
+    /** @private */
+    resolveWaiters() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        for (const waiter of waiters) {
+            clearTimeout(waiter.timer);
+            waiter.resolve(this.container);
+        }
+    }
+
+    rejectWaiters(error) {
+        const waiters = this.waiters;
+        this.waiters = [];
+        for (const waiter of waiters) {
+            clearTimeout(waiter.timer);
+            waiter.reject(error);
+        }
+    }
+
+    clickSlot(slotIndex) {
+        const { bot, container } = this;
+
+        // Pre-checks
+        if (!bot.client || !bot.connected) {
+            bot.logger.warn("Not connected");
+            return false;
+        }
+
+        if (!container) {
+            bot.logger.error("No windowId available");
+            return false;
+        }
+
+        if (!container.received) {
+            bot.logger.error("Inventory content not received");
+            return false;
+        }
+
+        if (!Number.isInteger(slotIndex) || slotIndex < 0 || slotIndex >= container.slots.length) {
+            bot.logger.error(`Invalid slot ${slotIndex} (container has ${container.slots.length} slots)`);
+            return false;
+        }
+
+        try {
+            bot.client.write("inventory_transaction", {
+                transaction: {
+                    legacy: { legacy_request_id: 0 },
+                    transaction_type: "normal",
+                    actions: [{
+                        source_type: "container",
+                        inventory_id: container.windowId,
+                        slot: slotIndex,
+                        old_item: container.slots[slotIndex] || EMPTY_ITEM,
+                        new_item: EMPTY_ITEM,
+                    }],
+                },
+            });
+            bot.logger.info(`Slot ${slotIndex} clicked in windowId ${container.windowId}`);
+            return true;
+        } catch (error) {
+            bot.logger.error(`Click error: ${error.message}`);
+            return false;
+        }
+    }
+
+    close() {
+        const { bot, container } = this;
+
+        if (!container) {
+            bot.logger.warn("No container open");
+            return false;
+        }
+
+        if (bot.client) {
+            try {
+                bot.client.write("container_close", {
+                    window_id: container.windowId,
+                    window_type: container.type,
+                    server: false,
+                });
+            } catch (error) {
+                bot.logger.error(`Close error: ${error.message}`);
+            }
+        }
+
+        this.container = null;
+        bot.emit("guiClose", { windowId: container.windowId, byServer: false });
+        return true;
+    }
+
+    /**
+     * Describe every slot of the open container.
+     * @returns {Array<{ slot: number, item: object|null }>}
+     */
+    getSlots() {
+        if (!this.container) return [];
+        return this.container.slots.map((item, slot) => ({
+            slot,
+            item: this.bot.items.describe(item),
+        }));
+    }
+
+    /**
+     * Render the open container as text lines: a row-major slot grid
+     * followed by the item in each occupied slot.
+     */
+    formatGrid() {
+        const { container } = this;
+        if (!container) return ["No container open"];
+        if (!container.received) return [`Window ${container.windowId} (${container.type}): waiting for contents...`];
+
+        const slots = this.getSlots();
+        const lines = [`Window ${container.windowId} (${container.type}), ${slots.length} slots:`];
+
+        for (let row = 0; row * ROW_SIZE < slots.length; row++) {
+            const cells = slots.slice(row * ROW_SIZE, (row + 1) * ROW_SIZE)
+                .map(({ slot, item }) => `${String(slot).padStart(2)}${item ? "■" : "·"}`);
+            lines.push(`  ${cells.join(" ")}`);
+        }
+
+        for (const { slot, item } of slots) {
+            if (!item) continue;
+            lines.push(`  [${String(slot).padStart(2)}] ${stripMinecraftColors(item.name)} x${item.count}`);
+        }
+
+        return lines;
+    }
+}
+
+export default GUIHandler;
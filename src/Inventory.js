@@ -0,0 +1,170 @@
+/**
+ * INVENTORY
+ * Keeps the bot's own inventory, armor and offhand from inventory_content
+ * (whole window) and inventory_slot (single slot) packets.
+ *
+ * Slots hold protocol Items; getSlots() and friends describe them through the
+ * client's ItemRegistry, so names follow the server's item table.
+ *
+ * Emits on the owning client:
+ *   inventoryChange ({ window, slot, before, after })  - per changed slot, items described or null
+ */
+
+import { stripMinecraftColors } from "./text.js";
+
+// Player windows by protocol window ID, both as mapped names and raw numbers
+const WINDOWS = {
+    inventory: { ids: ["inventory", 0], size: 36 },
+    armor: { ids: ["armor", 120], size: 4 },
+    offhand: { ids: ["offhand", 119], size: 1 },
+};
+
+const HOTBAR_SIZE = 9;
+const ARMOR_SLOTS = ["helmet", "chestplate", "leggings", "boots"];
+
+/**
+ * Window name for a packet window_id, or null for containers that aren't ours.
+ */
+function windowName(windowId) {
+    for (const [name, { ids }] of Object.entries(WINDOWS)) {
+        if (ids.includes(windowId)) return name;
+    }
+    return null;
+}
+
+/**
+ * Two protocol Items describe the same stack.
+ */
+function sameItem(a, b) {
+    if (!a?.network_id || !b?.network_id) return !a?.network_id === !b?.network_id;
+    return a.network_id === b.network_id && (a.count ?? 1) === (b.count ?? 1) && (a.metadata ?? 0) === (b.metadata ?? 0)
+        && JSON.stringify(a.extra?.nbt ?? null) === JSON.stringify(b.extra?.nbt ?? null);
+}
+
+export class Inventory {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.windows = {};
+        this.reset();
+    }
+
+    /**
+     * Register packet handlers. `on` is the client's stale-safe subscribe function.
+     */
+    register(on) {
+        on("inventory_content", (packet) => {
+            const window = windowName(packet?.window_id);
+            if (!window) return;
+
+            const slots = packet.input || [];
+            const size = Math.max(slots.length, this.windows[window].length);
+            for (let slot = 0; slot < size; slot++) {
+                this.setSlot(window, slot, slots[slot]);
+            }
+        });
+
+        on("inventory_slot", (packet) => {
+            const window = windowName(packet?.window_id);
+            if (!window) return;
+
+            this.setSlot(window, packet.slot, packet.item);
+        });
+    }
+
+    /**
+     * Empty every window, e.g. on disconnect. No change events are emitted.
+     */
+    reset() {
+        for (const [name, { size }] of Object.entries(WINDOWS)) {
+            this.windows[name] = new Array(size).fill(null);
+        }
+    }
+
+    /**
+     * Describe every slot of one window.
+     * @param {"inventory" | "armor" | "offhand"} [window="inventory"]
+     * @returns {Array<{ slot: number, item: object|null }>}
+     */
+    getSlots(window = "inventory") {
+        const slots = this.windows[window];
+        if (!slots) throw new Error(`Unknown inventory window: ${window}`);
+        return Array.from(slots, (item, slot) => ({ slot, item: this.bot.items.describe(item) }));
+    }
+
+    /**
+     * Every occupied slot in the inventory, armor and offhand.
+     * @returns {Array<{ window: string, slot: number, item: object }>}
+     */
+    items() {
+        return Object.keys(WINDOWS).flatMap((window) => this.getSlots(window)
+            .filter(({ item }) => item)
+            .map(({ slot, item }) => ({ window, slot, item })));
+    }
+
+    /**
+     * Total count of an item across all windows.
+     * @param {string} name - Item id with or without "minecraft:", or a custom name (case-insensitive, § codes ignored)
+     */
+    count(name) {
+        return this.items()
+            .filter(({ item }) => this.matches(item, name))
+            .reduce((sum, { item }) => sum + item.count, 0);
+    }
+
+    /**
+     * First slot holding a matching item, or null.
+     * @returns {{ window: string, slot: number, item: object }|null}
+     */
+    find(name) {
+        return this.items().find(({ item }) => this.matches(item, name)) || null;
+    }
+
+    /**
+     * Render the inventory as text lines: hotbar, main inventory, armor and offhand.
+     */
+    format() {
+        const describe = ({ slot, item }, label = String(slot).padStart(2)) => (
+            `  [${label}] ${stripMinecraftColors(item.name)} x${item.count}`
+        );
+        const section = (title, entries) => {
+            const used = entries.filter((e) => e.item);
+            return [`${title}:`, ...(used.length ? used.map((e) => describe(e, e.label)) : ["  (empty)"])];
+        };
+
+        const inventory = this.getSlots("inventory");
+        return [
+            ...section("Hotbar", inventory.slice(0, HOTBAR_SIZE)),
+            ...section("Inventory", inventory.slice(HOTBAR_SIZE)),
+            ...section("Armor", this.getSlots("armor").map((e) => ({ ...e, label: ARMOR_SLOTS[e.slot] ?? e.slot }))),
+            ...section("Offhand", this.getSlots("offhand")),
+        ];
+    }
+
+    /** @private */
+    matches(item, name) {
+        const wanted = String(name).toLowerCase();
+        return item.id.toLowerCase() === wanted
+            || item.id.toLowerCase() === `minecraft:${wanted}`
+            || stripMinecraftColors(item.name).toLowerCase() === wanted;
+    }
+
+    /** @private */
+    setSlot(window, slot, item) {
+        const slots = this.windows[window];
+        const before = slots[slot] ?? null;
+        const after = item?.network_id ? item : null;
+        slots[slot] = after;
+        if (sameItem(before, after)) return;
+
+        const { items, logger } = this.bot;
+        const change = { window, slot, before: items.describe(before), after: items.describe(after) };
+        const label = (item) => (item ? `${stripMinecraftColors(item.name)} x${item.count}` : "empty");
+        logger.debug(`Inventory ${window}[${slot}]: ${label(change.before)} → ${label(change.after)}`);
+        this.bot.emit("inventoryChange", change);
+    }
+}
+
+export default Inventory;
@@ -0,0 +1,56 @@
+/**
+ * ITEM REGISTRY
+ * Maps item network IDs to names using the item table the server sends
+ * in start_game (before 1.21.60) or item_registry (1.21.60+).
+ */
+
+export class ItemRegistry {
+    constructor() {
+        this.names = new Map();
+    }
+
+    /**
+     * @param {Array<{ name: string, runtime_id: number }>} itemstates
+     */
+    load(itemstates) {
+        if (!Array.isArray(itemstates)) return;
+        for (const state of itemstates) {
+            this.names.set(state.runtime_id, state.name);
+        }
+    }
+
+    clear() {
+        this.names.clear();
+    }
+
+    get size() {
+        return this.names.size;
+    }
+
+    /** Full identifier such as "minecraft:diamond", or "#<id>" if unknown */
+    getName(networkId) {
+        return this.names.get(networkId) || `#${networkId}`;
+    }
+
+    /**
+     * Turn a protocol Item into a plain description, or null for an empty slot.
+     * Custom names from the item NBT win over the registry name, since
+     * server menus label their buttons that way.
+     */
+    describe(item) {
+        if (!item || !item.network_id) return null;
+
+        const id = this.getName(item.network_id);
+        const customName = item.extra?.nbt?.nbt?.value?.display?.value?.Name?.value;
+
+        return {
+            networkId: item.network_id,
+            id,
+            name: customName || id.replace(/^minecraft:/, ""),
+            count: item.count ?? 1,
+            metadata: item.metadata ?? 0,
+        };
+    }
+}
+
+export default ItemRegistry;
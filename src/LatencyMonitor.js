@@ -0,0 +1,186 @@
+/**
+ * LATENCY MONITOR
+ * Measures round-trip time at the protocol level instead of parsing chat.
+ *
+ * Each probe sends a network_stack_latency (needs_response) and a tick_sync
+ * request; whichever the server echoes first gives the RTT sample. Probes
+ * that get no answer within probeTimeoutMs count as lost.
+ *
+ * The old chat-command probe ("/ping" → "your ping is ...") is still available
+ * as a fallback with ping.chatFallback, used only when protocol probes go unanswered.
+ *
+ * Emits on the owning client:
+ *   latency ({ rtt, method })
+ */
+
+import { Priority } from "./CommandQueue.js";
+
+const DEFAULT_PROBE_TIMEOUT_MS = 5000;
+const DEFAULT_HISTORY_SIZE = 60;
+
+// Window in which a "your ping is" chat line is treated as our own probe's reply
+const CHAT_PROBE_WINDOW_MS = 2000;
+
+export class LatencyMonitor {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.pending = new Map(); // timestamp (ms) → { sentAt }
+        this.samples = [];        // { time, rtt } with rtt null for lost probes
+        this.lastChatProbeTime = 0;
+        this.lastAnsweredProbe = 0;
+    }
+
+    get options() {
+        const ping = this.bot.config.ping || {};
+        return {
+            probeTimeoutMs: ping.probeTimeoutMs ?? DEFAULT_PROBE_TIMEOUT_MS,
+            historySize: ping.historySize ?? DEFAULT_HISTORY_SIZE,
+            chatFallback: ping.chatFallback ?? false,
+            command: ping.command || "ping",
+        };
+    }
+
+    /**
+     * Register packet handlers. `on` is the client's stale-safe subscribe function.
+     */
+    register(on) {
+        on("network_stack_latency", (packet) => {
+            if (packet.needs_response) {
+                // The server is measuring us; answer like a vanilla client would
+                this.write("network_stack_latency", { timestamp: packet.timestamp, needs_response: 0 });
+                return;
+            }
+            this.answer(packet.timestamp, "network_stack_latency");
+        });
+
+        on("tick_sync", (packet) => {
+            this.answer(packet.request_time, "tick_sync");
+        });
+    }
+
+    /**
+     * Clear the history for a new session.
+     */
+    reset() {
+        this.pending.clear();
+        this.samples = [];
+        this.lastAnsweredProbe = 0;
+    }
+
+    /**
+     * Send one probe. Called by the client's ping monitor every ping.intervalMs.
+     */
+    probe() {
+        this.expire();
+
+        const { chatFallback, command } = this.options;
+        const now = Date.now();
+
+        // Fall back to the chat command while the server ignores protocol probes
+        if (chatFallback && this.samples.length > 0 && this.lastAnsweredProbe === 0) {
+            this.lastChatProbeTime = now;
+            this.bot.exec(command, { silent: true, priority: Priority.BACKGROUND });
+        }
+
+        // Keep timestamps unique even if two probes land in the same millisecond
+        let timestamp = now;
+        while (this.pending.has(timestamp)) timestamp++;
+        this.pending.set(timestamp, { sentAt: now });
+
+        this.write("network_stack_latency", { timestamp: BigInt(timestamp), needs_response: 1 });
+        this.write("tick_sync", { request_time: BigInt(timestamp), response_time: 0n });
+    }
+
+    /**
+     * Whether a chat line is the reply to our own chat-command probe and should be hidden.
+     */
+    isChatProbeReply(message) {
+        return message.toLowerCase().includes("your ping is")
+            && Date.now() - this.lastChatProbeTime < CHAT_PROBE_WINDOW_MS;
+    }
+
+    /** @private */
+    answer(rawTimestamp, method) {
+        const value = Number(rawTimestamp);
+        // Some servers scale the echoed timestamp by 1000
+        const timestamp = [value, value / 1000, value * 1000].find((t) => this.pending.has(t));
+        if (timestamp === undefined) return;
+
+        const { sentAt } = this.pending.get(timestamp);
+        this.pending.delete(timestamp);
+
+        const rtt = Date.now() - sentAt;
+        this.lastAnsweredProbe = Date.now();
+        this.record(rtt);
+        this.bot.emit("latency", { rtt, method });
+    }
+
+    /**
+     * Count probes that were never answered as lost.
+     * @private
+     */
+    expire() {
+        const { probeTimeoutMs } = this.options;
+        const now = Date.now();
+        for (const [timestamp, { sentAt }] of this.pending) {
+            if (now - sentAt > probeTimeoutMs) {
+                this.pending.delete(timestamp);
+                this.record(null);
+            }
+        }
+    }
+
+    /** @private */
+    record(rtt) {
+        this.samples.push({ time: Date.now(), rtt });
+        const { historySize } = this.options;
+        if (this.samples.length > historySize) {
+            this.samples.splice(0, this.samples.length - historySize);
+        }
+    }
+
+    /** @private */
+    write(name, params) {
+        if (!this.bot.client) return;
+        try {
+            this.bot.client.write(name, params);
+        } catch (error) {
+            // Not every protocol version knows every probe packet
+        }
+    }
+
+    /**
+     * RTT statistics over the recorded history.
+     * @returns {{ current, min, max, avg, jitter, loss, probes, history }}
+     *   times in ms (null when there are no samples), loss as a 0-1 fraction
+     */
+    getStats() {
+        this.expire();
+
+        const rtts = this.samples.filter((s) => s.rtt !== null).map((s) => s.rtt);
+        const lost = this.samples.length - rtts.length;
+
+        let jitter = null;
+        if (rtts.length > 1) {
+            let total = 0;
+            for (let i = 1; i < rtts.length; i++) total += Math.abs(rtts[i] - rtts[i - 1]);
+            jitter = Math.round(total / (rtts.length - 1));
+        }
+
+        return {
+            current: rtts.length ? rtts[rtts.length - 1] : null,
+            min: rtts.length ? Math.min(...rtts) : null,
+            max: rtts.length ? Math.max(...rtts) : null,
+            avg: rtts.length ? Math.round(rtts.reduce((a, b) => a + b, 0) / rtts.length) : null,
+            jitter,
+            loss: this.samples.length ? lost / this.samples.length : 0,
+            probes: this.samples.length,
+            history: this.samples.map((s) => s.rtt),
+        };
+    }
+}
+
+export default LatencyMonitor;
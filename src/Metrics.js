@@ -0,0 +1,173 @@
+/**
+ * METRICS
+ * Counters and gauges about session health, rendered in the Prometheus text
+ * format for the API's GET /metrics (see ApiServer.js). Counters live as long as
+ * the client, so they keep counting across reconnects.
+ *
+ * Every sample has an `account` label. Metric families:
+ *   bedrock_connected                  gauge     1 while spawned
+ *   bedrock_connection_state{state}    gauge     1 for the current state, 0 for the rest
+ *   bedrock_session_uptime_seconds     gauge     since the current session spawned
+ *   bedrock_last_packet_age_seconds    gauge     since the last packet from the server
+ *   bedrock_queue_depth                gauge     pending outgoing commands and chat
+ *   bedrock_sessions_total             counter   spawns, including reconnects
+ *   bedrock_kicks_total{category}      counter   see ReconnectPolicy.js for categories
+ *   bedrock_reconnects_total{category} counter   reconnect attempts, by what caused them
+ *   bedrock_packets_received_total{packet} / bedrock_packets_sent_total{packet}
+ *   bedrock_commands_sent_total        counter   command_request packets written
+ *   bedrock_ping_rtt_seconds           histogram protocol-level RTT (see LatencyMonitor.js)
+ */
+
+import { ConnectionState } from "./StateMachine.js";
+import { classifyDisconnect } from "./ReconnectPolicy.js";
+
+export const RTT_BUCKETS_SECONDS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function increment(map, key) {
+    map.set(key, (map.get(key) || 0) + 1);
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+    if (value === Infinity) return "+Inf";
+    return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+}
+
+export class Metrics {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.packetsIn = new Map(); // packet name → count
+        this.packetsOut = new Map();
+        this.kicks = new Map(); // category → count
+        this.reconnects = new Map();
+        this.commandsSent = 0;
+        this.sessions = 0;
+        this.sessionStart = null;
+        this.rtt = { buckets: RTT_BUCKETS_SECONDS.map(() => 0), count: 0, sum: 0 };
+
+        bot.on("spawn", () => {
+            // A replay is not a session with a server
+            if (bot.replaying) return;
+            this.sessions++;
+            this.sessionStart = Date.now();
+        });
+        bot.on("disconnect", () => {
+            this.sessionStart = null;
+        });
+        bot.on("kick", ({ reason, packet }) => increment(this.kicks, classifyDisconnect(reason, packet?.reason)));
+        bot.on("reconnecting", ({ category }) => increment(this.reconnects, category));
+        bot.on("latency", ({ rtt }) => this.observeRtt(rtt / 1000));
+        bot.on("packetOut", ({ name }) => {
+            increment(this.packetsOut, name);
+            if (name === "command_request") this.commandsSent++;
+        });
+    }
+
+    /**
+     * Count the inbound packets of a freshly created protocol client. Outbound
+     * ones are counted from the client's "packetOut" event.
+     */
+    attach(client) {
+        client.on("packet", (des) => {
+            const name = des?.data?.name;
+            if (name && client === this.bot.client) increment(this.packetsIn, name);
+        });
+    }
+
+    /**
+     * Every sample of this client, labeled with its account.
+     * @returns {Array<{ name: string, type: string, help: string, labels: object, value: number }>}
+     */
+    collect() {
+        const { bot } = this;
+        const account = bot.name;
+        const now = Date.now();
+        const samples = [];
+        const add = (name, type, help, value, labels = {}) => {
+            samples.push({ name, type, help, labels: { account, ...labels }, value });
+        };
+
+        add("bedrock_connected", "gauge", "1 while the player is spawned", bot.connected ? 1 : 0);
+        for (const state of Object.values(ConnectionState)) {
+            add("bedrock_connection_state", "gauge", "Current connection state", bot.state.state === state ? 1 : 0, { state });
+        }
+        add("bedrock_session_uptime_seconds", "gauge", "Time since the current session spawned",
+            this.sessionStart ? (now - this.sessionStart) / 1000 : 0);
+        if (bot.client && bot.lastPongTime) {
+            add("bedrock_last_packet_age_seconds", "gauge", "Time since the last packet from the server",
+                (now - bot.lastPongTime) / 1000);
+        }
+        add("bedrock_queue_depth", "gauge", "Outgoing commands and chat waiting in the queue", bot.queue.pending.length);
+
+        add("bedrock_sessions_total", "counter", "Sessions that spawned, including reconnects", this.sessions);
+        for (const [category, count] of this.kicks) {
+            add("bedrock_kicks_total", "counter", "Kicks by disconnect category", count, { category });
+        }
+        for (const [category, count] of this.reconnects) {
+            add("bedrock_reconnects_total", "counter", "Reconnect attempts by disconnect category", count, { category });
+        }
+        for (const [packet, count] of this.packetsIn) {
+            add("bedrock_packets_received_total", "counter", "Packets received by name", count, { packet });
+        }
+        for (const [packet, count] of this.packetsOut) {
+            add("bedrock_packets_sent_total", "counter", "Packets sent by name", count, { packet });
+        }
+        add("bedrock_commands_sent_total", "counter", "Commands sent to the server", this.commandsSent);
+
+        const help = "Protocol-level ping round-trip time";
+        RTT_BUCKETS_SECONDS.forEach((le, i) => {
+            add("bedrock_ping_rtt_seconds_bucket", "histogram", help, this.rtt.buckets[i], { le });
+        });
+        add("bedrock_ping_rtt_seconds_bucket", "histogram", help, this.rtt.count, { le: "+Inf" });
+        add("bedrock_ping_rtt_seconds_sum", "histogram", help, this.rtt.sum);
+        add("bedrock_ping_rtt_seconds_count", "histogram", help, this.rtt.count);
+
+        return samples;
+    }
+
+    /** @private */
+    observeRtt(seconds) {
+        this.rtt.count++;
+        this.rtt.sum += seconds;
+        RTT_BUCKETS_SECONDS.forEach((le, i) => {
+            if (seconds <= le) this.rtt.buckets[i]++;
+        });
+    }
+}
+
+/**
+ * Render the metrics of several clients as one Prometheus text exposition,
+ * each family's HELP and TYPE once.
+ * @param {Array<import("./BedrockHeadlessClient.js").BedrockHeadlessClient>} bots
+ * @returns {string}
+ */
+export function formatMetrics(bots) {
+    const families = new Map(); // family name → { type, help, lines }
+    for (const bot of bots) {
+        for (const { name, type, help, labels, value } of bot.metrics.collect()) {
+            // Histogram series share the family name without their suffix
+            const family = type === "histogram" ? name.replace(/_(bucket|sum|count)$/, "") : name;
+            if (!families.has(family)) families.set(family, { type, help, lines: [] });
+            families.get(family).lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+    }
+
+    const out = [];
+    for (const [family, { type, help, lines }] of families) {
+        out.push(`# HELP ${family} ${help}`, `# TYPE ${family} ${type}`, ...lines);
+    }
+    return out.join("\n") + "\n";
+}
+
+export default Metrics;
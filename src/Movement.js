@@ -0,0 +1,258 @@
+/**
+ * MOVEMENT
+ * Straight-line walking and looking around with player_auth_input, the
+ * server-authoritative movement packet, one per 50ms client tick.
+ *
+ * goto() walks towards a point without pathfinding: no jumping, no obstacle
+ * avoidance. It ends when the bot arrives, when the server corrects its position
+ * (correct_player_move_prediction or a move_player teleport), on timeout, on
+ * stop(), or when the connection or the bot's life ends.
+ *
+ * Coordinates given to goto() are feet positions, as shown in the F3 screen;
+ * packets carry the eye position (see PlayerState.js).
+ *
+ * Emits on the owning client:
+ *   moveEnd ({ ok, reason, position, target })
+ *     reason: "arrived" | "corrected" | "timeout" | "stopped" | "disconnected" | "died"
+ */
+
+import { EYE_HEIGHT } from "./PlayerState.js";
+
+const TICK_MS = 50;
+const DEFAULT_SPEED = 4.3; // Blocks per second, vanilla walking speed
+const DEFAULT_TIMEOUT_MS = 30000;
+const ARRIVE_DISTANCE = 0.1;
+
+/**
+ * Minecraft yaw (0 = south/+z, 90 = west/-x) and pitch (down positive) facing along a vector.
+ */
+export function lookAngles(dx, dy, dz) {
+    const yaw = (Math.atan2(-dx, dz) * 180) / Math.PI;
+    const pitch = (-Math.atan2(dy, Math.hypot(dx, dz)) * 180) / Math.PI;
+    return { yaw, pitch };
+}
+
+export class Movement {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.tick = 0n;
+        this.current = null; // { target, speed, resolve, interval, timer }
+
+        bot.on("death", () => this.finish("died"));
+    }
+
+    get options() {
+        return { speed: DEFAULT_SPEED, timeoutMs: DEFAULT_TIMEOUT_MS, ...this.bot.config.movement };
+    }
+
+    get moving() {
+        return this.current !== null;
+    }
+
+    /**
+     * Register packet handlers. `on` is the client's stale-safe subscribe function.
+     * Runs after PlayerState's, so the corrected position is already stored.
+     */
+    register(on) {
+        on("start_game", (packet) => {
+            this.tick = BigInt(packet.current_tick ?? 0);
+        });
+
+        on("correct_player_move_prediction", (packet) => {
+            if (packet.prediction_type === "player") this.finish("corrected");
+        });
+
+        on("move_player", (packet) => {
+            if (packet.mode !== "teleport" && packet.mode !== "reset") return;
+            if (!this.bot.player.isSelf(packet.runtime_id)) return;
+            this.finish("corrected");
+        });
+    }
+
+    /**
+     * Stop moving because the connection is gone.
+     */
+    reset() {
+        this.finish("disconnected");
+    }
+
+    /**
+     * Walk in a straight line to a feet position.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {object} [options]
+     * @param {number} [options.speed] - Blocks per second (default: movement.speed)
+     * @param {number} [options.timeoutMs] - Give up after this long (default: movement.timeoutMs)
+     * @returns {Promise<{ ok: boolean, reason: string, position: object|null, target: object }>} never rejects;
+     *   besides the moveEnd reasons, reason may be "invalid target", "not spawned" or "dead"
+     */
+    goto(x, y, z, { speed = this.options.speed, timeoutMs = this.options.timeoutMs } = {}) {
+        const { bot } = this;
+        const target = { x, y, z };
+
+        if (![x, y, z].every(Number.isFinite) || !(speed > 0)) {
+            return Promise.resolve({ ok: false, reason: "invalid target", position: bot.player.position, target });
+        }
+        if (!bot.connected || !bot.player.position) {
+            return Promise.resolve({ ok: false, reason: "not spawned", position: bot.player.position, target });
+        }
+        if (!bot.player.alive) {
+            return Promise.resolve({ ok: false, reason: "dead", position: bot.player.position, target });
+        }
+
+        this.finish("stopped");
+        bot.logger.info(`Walking to ${x}, ${y}, ${z} at ${speed} blocks/s`);
+
+        return new Promise((resolve) => {
+            const move = { target: { x, y: y + EYE_HEIGHT, z }, speed, resolve };
+            move.interval = setInterval(() => this.step(), TICK_MS);
+            move.timer = setTimeout(() => this.finish("timeout"), timeoutMs);
+            this.current = move;
+            this.step();
+        });
+    }
+
+    /**
+     * Stop walking.
+     * @returns {boolean} false if the bot was not moving
+     */
+    stop() {
+        return this.finish("stopped");
+    }
+
+    /**
+     * Turn the head and body without moving.
+     * @param {number} yaw - Degrees, 0 = south, 90 = west
+     * @param {number} [pitch=0] - Degrees, -90 = up, 90 = down
+     * @returns {boolean} false if not spawned or the packet could not be sent
+     */
+    look(yaw, pitch = 0) {
+        const { bot } = this;
+        if (!bot.connected || !bot.player.position) {
+            bot.logger.warn("Not spawned");
+            return false;
+        }
+        if (!Number.isFinite(yaw) || !Number.isFinite(pitch)) {
+            bot.logger.warn("Invalid angles");
+            return false;
+        }
+
+        const rotation = { yaw, pitch: Math.max(-90, Math.min(90, pitch)) };
+        const previous = bot.player.rotation;
+        bot.player.rotation = rotation;
+        try {
+            this.sendInput(bot.player.position, { x: 0, y: 0, z: 0 }, false);
+        } catch (error) {
+            bot.player.rotation = previous;
+            bot.logger.error(`Look error: ${error.message}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Face a feet position, looking at eye height.
+     */
+    lookAt(x, y, z) {
+        const position = this.bot.player.position;
+        if (!position) {
+            this.bot.logger.warn("Not spawned");
+            return false;
+        }
+        const { yaw, pitch } = lookAngles(x - position.x, y + EYE_HEIGHT - position.y, z - position.z);
+        return this.look(yaw, pitch);
+    }
+
+    /**
+     * Advance one tick towards the target.
+     * @private
+     */
+    step() {
+        const { bot, current } = this;
+        if (!current) return;
+        if (!bot.client) return this.finish("disconnected");
+
+        const position = bot.player.position;
+        const dx = current.target.x - position.x;
+        const dy = current.target.y - position.y;
+        const dz = current.target.z - position.z;
+        const distance = Math.hypot(dx, dy, dz);
+        const stepLength = (current.speed * TICK_MS) / 1000;
+
+        const arrived = distance <= Math.max(stepLength, ARRIVE_DISTANCE);
+        const ratio = arrived ? 1 : stepLength / distance;
+        const delta = { x: dx * ratio, y: dy * ratio, z: dz * ratio };
+        const next = { x: position.x + delta.x, y: position.y + delta.y, z: position.z + delta.z };
+
+        if (Math.hypot(dx, dz) > 0) {
+            bot.player.rotation = { yaw: lookAngles(dx, 0, dz).yaw, pitch: bot.player.rotation?.pitch ?? 0 };
+        }
+
+        try {
+            this.sendInput(next, delta, !arrived);
+        } catch (error) {
+            bot.logger.error(`Move error: ${error.message}`);
+            return this.finish("disconnected");
+        }
+        bot.player.position = next;
+
+        if (arrived) this.finish("arrived");
+    }
+
+    /** @private */
+    sendInput(position, delta, walking) {
+        const { yaw, pitch } = this.bot.player.rotation || { yaw: 0, pitch: 0 };
+        // Walking straight ahead in the direction the bot faces
+        const forward = { x: 0, z: walking ? 1 : 0 };
+        this.tick++;
+
+        this.bot.client.write("player_auth_input", {
+            pitch,
+            yaw,
+            position,
+            move_vector: forward,
+            head_yaw: yaw,
+            input_data: { up: walking },
+            input_mode: "mouse",
+            play_mode: "normal",
+            interaction_model: "crosshair",
+            interact_rotation: { x: pitch, z: yaw },
+            tick: this.tick,
+            delta,
+            analogue_move_vector: forward,
+            camera_orientation: { x: 0, y: 0, z: 1 },
+            raw_move_vector: forward,
+        });
+    }
+
+    /**
+     * End the current goto, if any.
+     * @private
+     */
+    finish(reason) {
+        const move = this.current;
+        if (!move) return false;
+
+        this.current = null;
+        clearInterval(move.interval);
+        clearTimeout(move.timer);
+
+        const ok = reason === "arrived";
+        const position = this.bot.player.position;
+        const result = { ok, reason, position, target: { ...move.target, y: move.target.y - EYE_HEIGHT } };
+        if (ok) {
+            this.bot.logger.info("Arrived");
+        } else {
+            this.bot.logger.warn(`Movement ended: ${reason}`);
+        }
+        this.bot.emit("moveEnd", result);
+        move.resolve(result);
+        return true;
+    }
+}
+
+export default Movement;
@@ -0,0 +1,283 @@
+/**
+ * NOTIFIER
+ * Tells someone outside the console about events that need attention: kicks,
+ * reconnects that keep failing, chat mentions of the bot's name, direct messages
+ * and trigger notify actions. Configured in the `notifications` section of config.json.
+ * Nothing is sent while a recording is replayed (see BedrockHeadlessClient.replay()).
+ *
+ * Sinks (`notifications.sinks`), each may limit itself to some events with `events: [...]`:
+ *   { type: "stdout" }
+ *   { type: "webhook", url, headers?, timeoutMs? }  - JSON POST of the notification
+ *   { type: "file", path }                         - one JSON line per notification
+ *   { type: "exec", command, timeoutMs? }          - shell command; NOTIFY_EVENT, NOTIFY_ACCOUNT,
+ *                                                    NOTIFY_TITLE and NOTIFY_MESSAGE in the
+ *                                                    environment, the notification as JSON on stdin
+ *
+ * Events (`notifications.events.<event>`, all with `enabled?` and `throttleMs?`):
+ *   kick            - kicked, with the reason
+ *   reconnectFailed - `afterAttempts` reconnects failed in a row (default 3), or gave up
+ *   mention         - a chat message naming the bot
+ *   dm              - a whisper, or a system message matching `pattern` with (?<sender>)
+ *                     and (?<message>) groups for plugin DMs
+ *   trigger         - a trigger's notify action (see TriggerEngine.js)
+ *
+ * Notification: { event, account, title, message, time, suppressed, data, text }
+ *   suppressed - how many of this event were throttled since the last one was sent
+ */
+
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+
+const SINK_TYPES = ["stdout", "webhook", "file", "exec"];
+const DEFAULT_SINK_TIMEOUT_MS = 10000;
+const DEFAULT_AFTER_ATTEMPTS = 3;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Validate one sink entry.
+ * @throws {Error} on an unknown type or a missing url/path/command
+ */
+export function compileSink(sink, index) {
+    const name = `Notification sink #${index + 1}`;
+    if (!SINK_TYPES.includes(sink?.type)) {
+        throw new Error(`${name} has unknown type: ${sink?.type}`);
+    }
+    const required = { webhook: "url", file: "path", exec: "command" }[sink.type];
+    if (required && !sink[required]) {
+        throw new Error(`${name} (${sink.type}) has no ${required}`);
+    }
+    return {
+        ...sink,
+        events: sink.events ? [].concat(sink.events) : null,
+        timeoutMs: sink.timeoutMs ?? DEFAULT_SINK_TIMEOUT_MS,
+    };
+}
+
+export class Notifier {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.sinks = [];
+        this.lastSent = new Map(); // event -> time
+        this.suppressed = new Map(); // event -> throttled since last sent
+        this.reconnectNotified = false;
+
+        (bot.config.notifications?.sinks || []).forEach((sink, index) => {
+            try {
+                this.sinks.push(compileSink(sink, index));
+            } catch (error) {
+                bot.logger.error(error.message);
+            }
+        });
+
+        const dmPattern = this.eventOptions("dm").pattern;
+        try {
+            this.dmRegex = dmPattern ? new RegExp(dmPattern, "i") : null;
+        } catch (error) {
+            bot.logger.error(`Invalid notifications.events.dm.pattern: ${error.message}`);
+            this.dmRegex = null;
+        }
+
+        bot.on("kick", ({ reason }) => {
+            if (bot.replaying) return;
+            this.notify("kick", { title: "Kicked", message: reason, data: { reason } });
+        });
+
+        bot.on("reconnecting", ({ attempt, category }) => {
+            if (!bot.replaying) this.handleReconnecting(attempt, category);
+        });
+        bot.on("reconnect", () => {
+            this.reconnectNotified = false;
+        });
+        bot.on("reconnectFailed", ({ attempts, reason, category }) => {
+            this.reconnectNotified = false;
+            if (bot.replaying) return;
+            this.notify("reconnectFailed", {
+                title: "Gave up reconnecting",
+                message: `${reason} (${category}, ${attempts} attempt${attempts === 1 ? "" : "s"})`,
+                data: { attempts, reason, category, gaveUp: true },
+            });
+        });
+
+        bot.on("chat", (chat) => {
+            if (!bot.replaying) this.handleChat(chat);
+        });
+
+        bot.on("notification", ({ title, message, source }) => {
+            if (bot.replaying) return;
+            this.notify("trigger", { title, message, data: { source } });
+        });
+    }
+
+    /**
+     * Options of one event from `notifications.events`.
+     */
+    eventOptions(event) {
+        return { enabled: true, throttleMs: 0, ...this.bot.config.notifications?.events?.[event] };
+    }
+
+    /**
+     * Send a notification to every sink that takes this event.
+     * Sink failures are logged, never thrown.
+     * @param {string} event - kick, reconnectFailed, mention, dm, trigger, or any custom name
+     * @param {object} content
+     * @param {string} content.title
+     * @param {string} [content.message]
+     * @param {object} [content.data] - Extra event details
+     * @returns {Promise<boolean>} false if disabled, throttled or no sink takes the event
+     */
+    async notify(event, { title, message = "", data = {} }) {
+        const { bot } = this;
+        const options = this.eventOptions(event);
+        if (!options.enabled) return false;
+
+        const sinks = this.sinks.filter((s) => !s.events || s.events.includes(event));
+        if (sinks.length === 0) return false;
+
+        const now = Date.now();
+        if (options.throttleMs > 0 && now - (this.lastSent.get(event) ?? -Infinity) < options.throttleMs) {
+            this.suppressed.set(event, (this.suppressed.get(event) || 0) + 1);
+            bot.logger.debug(`Notification ${event} throttled`);
+            return false;
+        }
+        this.lastSent.set(event, now);
+        const suppressed = this.suppressed.get(event) || 0;
+        this.suppressed.delete(event);
+
+        const notification = {
+            event,
+            account: bot.name,
+            title,
+            message,
+            time: new Date(now).toISOString(),
+            suppressed,
+            data,
+            // Ready-made one-liner, also what chat webhooks like Slack's display
+            text: `[${bot.name}] ${title}${message ? `: ${message}` : ""}${suppressed ? ` (+${suppressed} more)` : ""}`,
+        };
+
+        await Promise.all(sinks.map(async (sink) => {
+            try {
+                await this.send(sink, notification);
+            } catch (error) {
+                bot.logger.warn(`Notification ${sink.type} failed: ${error.message}`);
+            }
+        }));
+        return true;
+    }
+
+    /** @private */
+    handleReconnecting(attempt, category) {
+        const afterAttempts = this.eventOptions("reconnectFailed").afterAttempts ?? DEFAULT_AFTER_ATTEMPTS;
+        // `attempt` is the one about to start, so attempt - 1 have failed
+        const failed = attempt - 1;
+        if (this.reconnectNotified || failed < afterAttempts) return;
+
+        this.reconnectNotified = true;
+        const reason = this.bot.lastDisconnect?.reason ?? "";
+        this.notify("reconnectFailed", {
+            title: `Reconnect failed ${failed} time${failed === 1 ? "" : "s"}`,
+            message: reason,
+            data: { attempts: failed, reason, category, gaveUp: false },
+        });
+    }
+
+    /** @private */
+    handleChat({ message, type, source, packet }) {
+        const name = this.bot.playerName;
+        if (source && source.toLowerCase() === name.toLowerCase()) return;
+        // Join, leave and death messages about the bot are translations, not mentions
+        if (packet?.needs_translation) return;
+
+        if (type === "whisper") {
+            this.notify("dm", { title: `DM from ${source || "?"}`, message, data: { sender: source } });
+            return;
+        }
+
+        const dm = this.dmRegex?.exec(message);
+        if (dm) {
+            const sender = dm.groups?.sender ?? "";
+            if (sender.toLowerCase() === name.toLowerCase()) return;
+            const text = dm.groups?.message ?? message;
+            this.notify("dm", { title: `DM from ${sender || "?"}`, message: text, data: { sender } });
+            return;
+        }
+
+        if (new RegExp(`(^|[^\\w])${escapeRegex(name)}($|[^\\w])`, "i").test(message)) {
+            this.notify("mention", {
+                title: `Mentioned${source ? ` by ${source}` : ""}`,
+                message,
+                data: { sender: source },
+            });
+        }
+    }
+
+    /** @private */
+    async send(sink, notification) {
+        switch (sink.type) {
+            case "stdout":
+                process.stdout.write(`🔔 ${notification.text}\n`);
+                break;
+            case "webhook": {
+                const response = await fetch(sink.url, {
+                    method: "POST",
+                    headers: { "content-type": "application/json", ...sink.headers },
+                    body: JSON.stringify(notification),
+                    signal: AbortSignal.timeout(sink.timeoutMs),
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                break;
+            }
+            case "file":
+                await fs.promises.mkdir(path.dirname(sink.path), { recursive: true });
+                await fs.promises.appendFile(sink.path, JSON.stringify(notification) + "\n");
+                break;
+            case "exec":
+                await runCommand(sink, notification);
+                break;
+        }
+    }
+}
+
+/**
+ * Run an exec sink's command with the notification on stdin.
+ * @returns {Promise<void>} rejects on a non-zero exit or timeout
+ */
+function runCommand(sink, notification) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(sink.command, {
+            shell: true,
+            timeout: sink.timeoutMs,
+            stdio: ["pipe", "ignore", "pipe"],
+            env: {
+                ...process.env,
+                NOTIFY_EVENT: notification.event,
+                NOTIFY_ACCOUNT: notification.account,
+                NOTIFY_TITLE: notification.title,
+                NOTIFY_MESSAGE: notification.message,
+            },
+        });
+
+        let stderr = "";
+        child.stderr.on("data", (chunk) => {
+            stderr = (stderr + chunk).slice(-500);
+        });
+        child.on("error", reject);
+        child.on("close", (code, signal) => {
+            if (code === 0) return resolve();
+            reject(new Error(signal ? `killed by ${signal}` : `exit code ${code}${stderr ? `: ${stderr.trim()}` : ""}`));
+        });
+
+        // The command may not read stdin at all
+        child.stdin.on("error", () => {});
+        child.stdin.end(JSON.stringify(notification));
+    });
+}
+
+export default Notifier;
@@ -0,0 +1,199 @@
+/**
+ * PACKET RECORDER
+ * Writes every inbound and outbound packet of the connection to a JSONL file,
+ * so what the server actually sent can be inspected or replayed later
+ * (see ReplayClient.js).
+ *
+ * File format, one JSON object per line:
+ *   { "meta": { account, server, started } }                    - first line
+ *   { "time": <ms epoch>, "dir": "in"|"out", "name", "params" }  - one per packet
+ * BigInts are written as { "$bigint": "123" } and Buffers as { "$buffer": "<base64>" }.
+ *
+ * Filters (`record.include` / `record.exclude`) match packet names, `*` is a wildcard.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const DEFAULT_DIR = "./recordings";
+
+/**
+ * JSON.stringify replacer that keeps BigInts and Buffers round-trippable.
+ */
+function encodeValue(key, value) {
+    if (typeof value === "bigint") return { $bigint: value.toString() };
+    // Buffers have already been through their toJSON() here
+    if (value?.type === "Buffer" && Array.isArray(value.data)) {
+        return { $buffer: Buffer.from(value.data).toString("base64") };
+    }
+    return value;
+}
+
+function decodeValue(key, value) {
+    if (value && typeof value === "object") {
+        if (typeof value.$bigint === "string") return BigInt(value.$bigint);
+        if (typeof value.$buffer === "string") return Buffer.from(value.$buffer, "base64");
+    }
+    return value;
+}
+
+/**
+ * Build a packet name test from include/exclude lists.
+ * @returns {(name: string) => boolean}
+ */
+export function packetFilter({ include = [], exclude = [] } = {}) {
+    const compile = (patterns) => patterns.map((p) => new RegExp(`^${p.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`));
+    const included = compile(include);
+    const excluded = compile(exclude);
+
+    return (name) => (included.length === 0 || included.some((r) => r.test(name)))
+        && !excluded.some((r) => r.test(name));
+}
+
+/**
+ * Read a recording back.
+ * @param {string} file
+ * @returns {{ meta: object|null, packets: Array<{ time: number, dir: string, name: string, params: object }> }}
+ * @throws {Error} if the file can't be read or a line isn't valid JSON
+ */
+export function readRecording(file) {
+    const lines = fs.readFileSync(file, "utf8").split("\n");
+    let meta = null;
+    const packets = [];
+
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        let entry;
+        try {
+            entry = JSON.parse(line, decodeValue);
+        } catch (error) {
+            throw new Error(`${file}:${index + 1}: ${error.message}`);
+        }
+        if (entry.meta) {
+            meta = entry.meta;
+        } else if (entry.name) {
+            packets.push(entry);
+        }
+    });
+
+    return { meta, packets };
+}
+
+/**
+ * Recordings in a folder, newest first.
+ */
+export function listRecordings(dir = DEFAULT_DIR) {
+    try {
+        return fs.readdirSync(dir)
+            .filter((f) => f.endsWith(".jsonl"))
+            .map((f) => path.join(dir, f))
+            .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+    } catch {
+        return [];
+    }
+}
+
+export class PacketRecorder {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.fd = null;
+        this.file = null;
+        this.count = 0;
+        this.startedAt = null;
+        this.autoStarted = false;
+        this.accepts = () => true;
+
+        bot.on("packetOut", ({ name, params }) => this.record("out", name, params));
+    }
+
+    get options() {
+        return { dir: DEFAULT_DIR, include: [], exclude: [], ...this.bot.config.record };
+    }
+
+    get recording() {
+        return this.fd !== null;
+    }
+
+    /**
+     * Start writing packets to a file.
+     * @param {string} [file] - Defaults to <record.dir>/<account>-<timestamp>.jsonl
+     * @returns {string} the file being written
+     */
+    start(file) {
+        if (this.recording) {
+            throw new Error(`Already recording to ${this.file}`);
+        }
+
+        const { bot } = this;
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        this.file = file || path.join(this.options.dir, `${bot.name}-${stamp}.jsonl`);
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.fd = fs.openSync(this.file, "a");
+        this.count = 0;
+        this.startedAt = Date.now();
+        this.accepts = packetFilter(this.options);
+
+        const { ip, port } = bot.config.server || {};
+        this.writeLine({ meta: { account: bot.name, server: `${ip}:${port}`, started: new Date().toISOString() } });
+        bot.logger.info(`Recording packets to ${this.file}`);
+        return this.file;
+    }
+
+    /**
+     * Stop recording.
+     * @returns {boolean} false if nothing was being recorded
+     */
+    stop() {
+        if (!this.recording) return false;
+        fs.closeSync(this.fd);
+        this.fd = null;
+        this.bot.logger.info(`Recording stopped: ${this.count} packets in ${this.file}`);
+        return true;
+    }
+
+    getStatus() {
+        return { recording: this.recording, file: this.file, packets: this.count, startedAt: this.startedAt };
+    }
+
+    /**
+     * Hook the inbound packets of a freshly created protocol client, outbound ones
+     * come from the client's "packetOut" event. Starts recording on the first
+     * connection if `record.enabled` is set.
+     */
+    attach(client) {
+        if (this.options.enabled && !this.autoStarted && !this.recording) {
+            this.autoStarted = true;
+            try {
+                this.start();
+            } catch (error) {
+                this.bot.logger.error(`Recording failed: ${error.message}`);
+            }
+        }
+
+        client.on("packet", (des) => {
+            if (client === this.bot.client) this.record("in", des?.data?.name, des?.data?.params);
+        });
+    }
+
+    /** @private */
+    record(dir, name, params) {
+        if (!this.recording || !name || !this.accepts(name)) return;
+        this.count++;
+        this.writeLine({ time: Date.now(), dir, name, params });
+    }
+
+    /** @private */
+    writeLine(entry) {
+        try {
+            fs.writeSync(this.fd, JSON.stringify(entry, encodeValue) + "\n");
+        } catch (error) {
+            this.bot.logger.error(`Recording failed: ${error.message}`);
+            this.stop();
+        }
+    }
+}
+
+export default PacketRecorder;
@@ -0,0 +1,145 @@
+/**
+ * PLAYER LIST
+ * Keeps the roster of online players from player_list add/remove records.
+ *
+ * The server sends the whole list right after joining; those entries are reported
+ * with `initial: true` so listeners can tell them apart from real joins. Records
+ * within `players.initialSyncMs` of spawning count as part of that list.
+ *
+ * Emits on the owning client:
+ *   playerJoin  ({ name, uuid, xuid, platform, initial })
+ *   playerLeave ({ name, uuid, xuid, platform })
+ */
+
+// Records arriving this soon after spawn still belong to the initial list
+const DEFAULT_INITIAL_SYNC_MS = 3000;
+
+// BuildPlatform values from the protocol
+const PLATFORMS = {
+    1: "Android",
+    2: "iOS",
+    3: "macOS",
+    4: "Fire OS",
+    5: "Gear VR",
+    6: "HoloLens",
+    7: "Windows",
+    8: "Windows (Win32)",
+    9: "Dedicated",
+    10: "tvOS",
+    11: "PlayStation",
+    12: "Switch",
+    13: "Xbox",
+    14: "Windows Phone",
+    15: "Linux",
+};
+
+export function platformName(buildPlatform) {
+    return PLATFORMS[buildPlatform] || "Unknown";
+}
+
+export class PlayerList {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.players = new Map(); // uuid → player
+        this.spawnedAt = null;
+
+        bot.on("spawn", () => {
+            this.spawnedAt = Date.now();
+        });
+    }
+
+    /**
+     * Register packet handlers. `on` is the client's stale-safe subscribe function.
+     */
+    register(on) {
+        on("player_list", (packet) => {
+            const { type, records = [] } = packet?.records || {};
+            if (type === "add") {
+                for (const record of records) this.add(record);
+            } else if (type === "remove") {
+                for (const record of records) this.remove(record.uuid);
+            }
+        });
+    }
+
+    /**
+     * Forget everyone, e.g. on disconnect. No leave events are emitted.
+     */
+    reset() {
+        this.players.clear();
+        this.spawnedAt = null;
+    }
+
+    get size() {
+        return this.players.size;
+    }
+
+    /**
+     * Online players sorted by name.
+     * @param {string} [filter] - Case-insensitive substring of the name
+     */
+    list(filter = "") {
+        const needle = filter.toLowerCase();
+        return [...this.players.values()]
+            .filter((p) => p.name.toLowerCase().includes(needle))
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+    }
+
+    /**
+     * Look up an online player by name (case-insensitive).
+     */
+    get(name) {
+        const lower = String(name).toLowerCase();
+        for (const player of this.players.values()) {
+            if (player.name.toLowerCase() === lower) return player;
+        }
+        return null;
+    }
+
+    isOnline(name) {
+        return this.get(name) !== null;
+    }
+
+    /** @private */
+    add(record) {
+        if (!record?.uuid) return;
+
+        const known = this.players.get(record.uuid);
+        const player = {
+            name: record.username || known?.name || "",
+            uuid: record.uuid,
+            xuid: record.xbox_user_id || "",
+            platform: platformName(record.build_platform),
+            since: known?.since ?? Date.now(),
+        };
+        this.players.set(record.uuid, player);
+
+        // Servers resend records to update skins; only new players count as joins
+        if (known) return;
+
+        const initialSyncMs = this.bot.config.players?.initialSyncMs ?? DEFAULT_INITIAL_SYNC_MS;
+        const initial = this.spawnedAt === null || Date.now() - this.spawnedAt < initialSyncMs;
+        if (!initial) this.bot.logger.info(`→ ${player.name} joined (${player.platform})`);
+        this.bot.emit("playerJoin", { ...this.describe(player), initial });
+    }
+
+    /** @private */
+    remove(uuid) {
+        const player = this.players.get(uuid);
+        if (!player) return;
+
+        this.players.delete(uuid);
+        this.bot.logger.info(`← ${player.name} left`);
+        this.bot.emit("playerLeave", this.describe(player));
+    }
+
+    /** @private */
+    describe({ name, uuid, xuid, platform }) {
+        return { name, uuid, xuid, platform };
+    }
+}
+
+export default PlayerList;
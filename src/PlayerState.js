@@ -0,0 +1,304 @@
+/**
+ * PLAYER STATE
+ * Where the bot is and whether it's alive: position and dimension from start_game,
+ * move_player, change_dimension and correct_player_move_prediction; health from
+ * update_attributes and set_health; deaths from health, death_info and death messages.
+ *
+ * With `respawn.auto` the bot leaves the death screen after `respawn.delayMs`
+ * and can run `respawn.command` (e.g. "home") once it is back.
+ *
+ * Positions are what the protocol sends: x/z of the player, y at eye height.
+ *
+ * Emits on the owning client:
+ *   death           ({ cause, message, position, dimension })
+ *   respawn         ({ auto })
+ *   dimensionChange ({ from, to, position })
+ */
+
+import { Priority } from "./CommandQueue.js";
+import { stripMinecraftColors } from "./text.js";
+
+const DEFAULT_RESPAWN_DELAY_MS = 1000;
+const DEFAULT_COMMAND_DELAY_MS = 2000;
+// Height of the eyes above the feet; positions in packets are at eye height
+export const EYE_HEIGHT = 1.62;
+const DIMENSIONS = ["overworld", "nether", "end"];
+const ORIGIN = { x: 0, y: 0, z: 0 };
+
+// respawn packet states
+const RespawnState = {
+    SEARCHING: 0,
+    SERVER_READY: 1,
+    CLIENT_READY: 2,
+};
+
+function dimensionName(dimension) {
+    return typeof dimension === "number" ? DIMENSIONS[dimension] ?? `dimension ${dimension}` : dimension;
+}
+
+export class PlayerState {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.deaths = 0;
+        this.lastDeath = null; // { cause, message, position, dimension, time }
+        this.respawnTimer = null;
+        this.commandTimer = null;
+        this.reset();
+
+        bot.on("chat", (chat) => this.handleChat(chat));
+    }
+
+    get options() {
+        return {
+            auto: false,
+            delayMs: DEFAULT_RESPAWN_DELAY_MS,
+            command: "",
+            commandDelayMs: DEFAULT_COMMAND_DELAY_MS,
+            ...this.bot.config.respawn,
+        };
+    }
+
+    /** Block the player stands on, or null before the first position */
+    get block() {
+        if (!this.position) return null;
+        const { x, y, z } = this.position;
+        return { x: Math.floor(x), y: Math.floor(y - EYE_HEIGHT), z: Math.floor(z) };
+    }
+
+    /**
+     * Register packet handlers. `on` is the client's stale-safe subscribe function.
+     */
+    register(on) {
+        on("start_game", (packet) => {
+            this.runtimeId = packet.runtime_entity_id;
+            this.position = { ...packet.player_position };
+            this.rotation = { pitch: packet.rotation?.x ?? 0, yaw: packet.rotation?.z ?? 0 };
+            this.dimension = dimensionName(packet.dimension);
+        });
+
+        on("move_player", (packet) => {
+            if (!this.isSelf(packet.runtime_id)) return;
+            this.position = { ...packet.position };
+            this.rotation = { pitch: packet.pitch, yaw: packet.yaw };
+        });
+
+        on("correct_player_move_prediction", (packet) => {
+            if (packet.prediction_type !== "player") return;
+            this.position = { ...packet.position };
+        });
+
+        on("change_dimension", (packet) => {
+            const from = this.dimension;
+            this.dimension = dimensionName(packet.dimension);
+            this.position = { ...packet.position };
+            this.bot.logger.info(`Dimension: ${from ?? "?"} → ${this.dimension}`);
+            this.bot.emit("dimensionChange", { from, to: this.dimension, position: this.position });
+
+            // The server holds the player in the loading screen until this arrives
+            try {
+                this.sendAction("dimension_change_ack");
+            } catch (error) {
+                this.bot.logger.error(`Dimension change ack error: ${error.message}`);
+            }
+        });
+
+        on("update_attributes", (packet) => {
+            if (!this.isSelf(packet.runtime_entity_id)) return;
+            const health = packet.attributes?.find((a) => a.name === "minecraft:health");
+            if (!health) return;
+            this.maxHealth = health.max;
+            this.setHealth(health.current);
+        });
+
+        on("set_health", (packet) => {
+            this.setHealth(packet.health);
+        });
+
+        on("death_info", (packet) => {
+            const message = (packet.messages || []).join(" ");
+            this.markDead(packet.cause, message);
+        });
+
+        on("respawn", (packet) => {
+            if (packet.state !== RespawnState.SERVER_READY) return;
+            this.spawnPoint = { ...packet.position };
+            if (!this.alive && this.options.auto && !this.respawnTimer) this.scheduleRespawn();
+        });
+    }
+
+    /**
+     * Forget the position and cancel pending respawns, e.g. on disconnect.
+     * Death count and the last death are kept.
+     */
+    reset() {
+        clearTimeout(this.respawnTimer);
+        clearTimeout(this.commandTimer);
+        this.respawnTimer = null;
+        this.commandTimer = null;
+        this.runtimeId = null;
+        this.position = null;
+        this.rotation = null;
+        this.dimension = null;
+        this.spawnPoint = null;
+        this.health = null;
+        this.maxHealth = null;
+        this.alive = true;
+    }
+
+    /**
+     * Leave the death screen.
+     * @param {object} [options]
+     * @param {boolean} [options.auto=false] - Reported in the respawn event
+     * @returns {boolean} false if not dead or not connected
+     */
+    respawn({ auto = false } = {}) {
+        const { bot } = this;
+        clearTimeout(this.respawnTimer);
+        this.respawnTimer = null;
+
+        if (this.alive) {
+            bot.logger.warn("Not dead");
+            return false;
+        }
+        if (!bot.client) {
+            bot.logger.warn("Not connected");
+            return false;
+        }
+
+        try {
+            bot.client.write("respawn", {
+                position: this.spawnPoint || ORIGIN,
+                state: RespawnState.CLIENT_READY,
+                runtime_entity_id: this.runtimeId ?? 0n,
+            });
+            this.sendAction("respawn");
+        } catch (error) {
+            bot.logger.error(`Respawn error: ${error.message}`);
+            return false;
+        }
+
+        this.alive = true;
+        this.health = this.maxHealth;
+        if (this.spawnPoint) this.position = { ...this.spawnPoint };
+        bot.logger.info(auto ? "Respawned automatically" : "Respawned");
+        bot.emit("respawn", { auto });
+
+        const { command, commandDelayMs } = this.options;
+        if (command) {
+            clearTimeout(this.commandTimer);
+            this.commandTimer = setTimeout(() => {
+                this.commandTimer = null;
+                if (bot.connected) bot.exec(command, { priority: Priority.AUTO });
+            }, commandDelayMs);
+        }
+        return true;
+    }
+
+    /**
+     * Text lines for the `pos` command.
+     */
+    format() {
+        if (!this.position) return ["Position unknown"];
+
+        const { x, y, z } = this.position;
+        const block = this.block;
+        const lines = [
+            `Position: ${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)} (block ${block.x}, ${block.y}, ${block.z}) in ${this.dimension ?? "?"}`,
+        ];
+        if (this.rotation) {
+            lines.push(`Facing: yaw ${this.rotation.yaw.toFixed(1)}, pitch ${this.rotation.pitch.toFixed(1)}`);
+        }
+        const health = this.health === null ? "?" : `${this.health}${this.maxHealth ? `/${this.maxHealth}` : ""}`;
+        lines.push(`Health: ${health}, ${this.alive ? "alive" : "dead"}, deaths: ${this.deaths}`);
+        if (this.lastDeath) {
+            lines.push(`Last death: ${this.lastDeath.message || this.lastDeath.cause} (${new Date(this.lastDeath.time).toLocaleString("sv-SE")})`);
+        }
+        return lines;
+    }
+
+    /**
+     * True for our own runtime ID, or any ID before start_game told us ours.
+     */
+    isSelf(runtimeId) {
+        return this.runtimeId === null || BigInt(runtimeId) === BigInt(this.runtimeId);
+    }
+
+    /** @private */
+    setHealth(health) {
+        this.health = health;
+        if (health <= 0) {
+            this.markDead("health");
+        } else if (!this.alive && this.respawnTimer === null) {
+            // Respawned by someone else, e.g. the server or a plugin
+            this.alive = true;
+        }
+    }
+
+    /**
+     * Vanilla death messages are translations like death.attack.player with our name first.
+     * @private
+     */
+    handleChat({ message, packet }) {
+        const key = String(packet?.message || "").replace(/^(§.)*%?/, "");
+        if (!key.startsWith("death.")) return;
+        const victim = stripMinecraftColors(String(packet.parameters?.[0] ?? ""));
+        if (victim.toLowerCase() !== this.bot.playerName.toLowerCase()) return;
+
+        if (this.alive) {
+            this.markDead(key, message);
+        } else if (this.lastDeath && !this.lastDeath.message) {
+            this.lastDeath.message = message;
+        }
+    }
+
+    /** @private */
+    markDead(cause, message = "") {
+        if (!this.alive) {
+            if (message && this.lastDeath && !this.lastDeath.message) this.lastDeath.message = message;
+            return;
+        }
+
+        this.alive = false;
+        this.deaths++;
+        this.lastDeath = {
+            cause,
+            message,
+            position: this.position,
+            dimension: this.dimension,
+            time: Date.now(),
+        };
+
+        const { position, dimension } = this.lastDeath;
+        const where = position ? ` at ${Math.floor(position.x)}, ${Math.floor(position.y)}, ${Math.floor(position.z)}` : "";
+        this.bot.logger.warn(`✝ Died${message ? `: ${message}` : ""}${where}`);
+        this.bot.emit("death", { cause, message, position, dimension });
+
+        if (this.options.auto) this.scheduleRespawn();
+    }
+
+    /** @private */
+    scheduleRespawn() {
+        clearTimeout(this.respawnTimer);
+        this.respawnTimer = setTimeout(() => {
+            this.respawnTimer = null;
+            if (!this.alive) this.respawn({ auto: true });
+        }, this.options.delayMs);
+    }
+
+    /** @private */
+    sendAction(action) {
+        if (!this.bot.client) return;
+        this.bot.client.write("player_action", {
+            runtime_entity_id: this.runtimeId ?? 0n,
+            action,
+            position: ORIGIN,
+            result_position: ORIGIN,
+            face: -1,
+        });
+    }
+}
+
+export default PlayerState;
@@ -0,0 +1,140 @@
+/**
+ * RECONNECT POLICY
+ * Decides whether and when to reconnect after a lost connection:
+ * exponential backoff with jitter, an attempt limit, and per-reason rules.
+ *
+ * Disconnect reasons are classified into:
+ *   restart, full, banned, duplicate_login, auth, timeout, kicked, unknown
+ */
+
+import { stripMinecraftColors } from "./text.js";
+
+export const DisconnectCategory = Object.freeze({
+    RESTART: "restart",
+    FULL: "full",
+    BANNED: "banned",
+    DUPLICATE_LOGIN: "duplicate_login",
+    AUTH: "auth",
+    TIMEOUT: "timeout",
+    KICKED: "kicked",
+    UNKNOWN: "unknown",
+});
+
+const C = DisconnectCategory;
+
+// Checked in order, first match wins. Patterns run against the lowercased message
+// and the DisconnectFailReason code from the disconnect packet.
+const CLASSIFIERS = [
+    { category: C.BANNED, codes: ["banned_skin"], pattern: /\bbann?ed\b|\bban\b|blacklist/ },
+    { category: C.DUPLICATE_LOGIN, codes: ["logged_in_other_location"], pattern: /logged ?in ?(from )?(an)?other ?location|already (logged|connected|online)|loggedinotherlocation|duplicate login/ },
+    { category: C.AUTH, codes: ["not_authenticated", "empty_auth_from_discovery", "expired_auth_from_discovery", "conn_not_logged_in"], pattern: /not ?authenticated|authentication|invalid session|xbox live|notauthenticated/ },
+    { category: C.FULL, codes: ["server_full"], pattern: /server ?(is )?full|serverfull|too many players/ },
+    { category: C.RESTART, codes: ["shutdown", "server_shutdown"], pattern: /restart|shutting down|server (is )?(closed|stopping|stopped)|serverclosed/ },
+    { category: C.TIMEOUT, codes: ["timeout", "conn_inactivity_timeout", "conn_negotiation_timeout", "loading_state_timeout"], pattern: /time(d)? ?out/ },
+    { category: C.KICKED, codes: ["kicked", "kicked_for_exploit", "kicked_for_idle"], pattern: /kick/ },
+];
+
+/**
+ * Classify a disconnect or kick.
+ * @param {string} message - Kick/disconnect message, may contain § codes
+ * @param {string|null} [code] - DisconnectFailReason from the disconnect packet
+ * @returns {string} one of DisconnectCategory
+ */
+export function classifyDisconnect(message, code = null) {
+    const text = stripMinecraftColors(String(message || "")).toLowerCase();
+
+    for (const { category, codes, pattern } of CLASSIFIERS) {
+        if (code && codes.includes(code)) return category;
+        if (pattern.test(text)) return category;
+    }
+    return C.UNKNOWN;
+}
+
+const DEFAULT_RULES = {
+    [C.BANNED]: { retry: false },
+    [C.AUTH]: { retry: false },
+    [C.DUPLICATE_LOGIN]: { minDelayMs: 60000 },
+    [C.RESTART]: { minDelayMs: 30000 },
+    [C.FULL]: { minDelayMs: 15000 },
+};
+
+export class ReconnectPolicy {
+    /**
+     * @param {object} config - Account config; reads `reconnect` and the legacy `ping` settings
+     */
+    constructor(config) {
+        this.config = config;
+        this.attempts = 0;
+        this.sessionStart = null;
+    }
+
+    get options() {
+        const { ping = {}, reconnect = {} } = this.config;
+        return {
+            enabled: reconnect.enabled ?? ping.autoReconnect ?? true,
+            baseDelayMs: reconnect.baseDelayMs ?? ping.reconnectDelayMs ?? 3000,
+            maxDelayMs: reconnect.maxDelayMs ?? 300000,
+            multiplier: reconnect.multiplier ?? 2,
+            jitter: reconnect.jitter ?? 0.2,
+            maxAttempts: reconnect.maxAttempts ?? 10,
+            stableSessionMs: reconnect.stableSessionMs ?? 60000,
+            rules: { ...DEFAULT_RULES, ...reconnect.rules },
+        };
+    }
+
+    /**
+     * Call when the player spawns, to measure how long the session lasts.
+     */
+    sessionStarted() {
+        this.sessionStart = Date.now();
+    }
+
+    /**
+     * Forget the attempt counter, e.g. after a manual connect.
+     */
+    reset() {
+        this.attempts = 0;
+        this.sessionStart = null;
+    }
+
+    /**
+     * Decide what to do about a lost connection.
+     * @param {string} reason
+     * @param {string|null} [code]
+     * @returns {{ retry: boolean, delayMs: number, attempt: number, category: string, why: string }}
+     */
+    next(reason, code = null) {
+        const options = this.options;
+        const category = classifyDisconnect(reason, code);
+        const rule = options.rules[category] || {};
+
+        // A session that stayed up long enough wipes the backoff
+        if (this.sessionStart && Date.now() - this.sessionStart >= options.stableSessionMs) {
+            this.attempts = 0;
+        }
+        this.sessionStart = null;
+
+        if (!options.enabled) {
+            return { retry: false, delayMs: 0, attempt: this.attempts, category, why: "auto-reconnect disabled" };
+        }
+
+        if (rule.retry === false) {
+            return { retry: false, delayMs: 0, attempt: this.attempts, category, why: `no retry on ${category}` };
+        }
+
+        const maxAttempts = rule.maxAttempts ?? options.maxAttempts;
+        if (maxAttempts > 0 && this.attempts >= maxAttempts) {
+            return { retry: false, delayMs: 0, attempt: this.attempts, category, why: `gave up after ${this.attempts} attempts` };
+        }
+
+        const backoff = options.baseDelayMs * options.multiplier ** this.attempts;
+        const capped = Math.min(backoff, options.maxDelayMs);
+        const jittered = capped * (1 + options.jitter * (Math.random() * 2 - 1));
+        const delayMs = Math.round(Math.max(jittered, rule.minDelayMs ?? 0));
+
+        this.attempts++;
+        return { retry: true, delayMs, attempt: this.attempts, category, why: category };
+    }
+}
+
+export default ReconnectPolicy;
@@ -0,0 +1,95 @@
+/**
+ * REPLAY CLIENT
+ * Stands in for a bedrock-protocol client and plays the inbound packets of a
+ * recording (see PacketRecorder.js) back to the handlers, so chat, GUI and form
+ * handling can be debugged without a server.
+ *
+ * Like the real client it emits "packet" and then the packet name, "spawn" after
+ * play_status player_spawn and "kick" after disconnect. Outbound writes go nowhere.
+ *
+ * Extra events:
+ *   replayEnd ({ packets, stopped })
+ */
+
+import { EventEmitter } from "events";
+
+export class ReplayClient extends EventEmitter {
+    /**
+     * @param {Array<{ time: number, dir: string, name: string, params: object }>} packets - From readRecording()
+     * @param {object} [options]
+     * @param {number} [options.speed=1] - Playback speed multiplier, 0 = as fast as possible
+     * @param {string} [options.username] - Reported as profile.name
+     */
+    constructor(packets, options = {}) {
+        super();
+        this.packets = packets.filter((p) => p.dir === "in");
+        this.speed = options.speed ?? 1;
+        this.profile = { name: options.username || "replay" };
+        this.index = 0;
+        this.timer = null;
+        this.closed = false;
+        this.ended = false;
+    }
+
+    /**
+     * Start playing. The first packet is delivered on the next tick, so
+     * handlers can be attached right after construction.
+     */
+    play() {
+        this.schedule(0);
+    }
+
+    write() {}
+
+    queue() {}
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        clearTimeout(this.timer);
+        if (!this.ended) this.end(true);
+        this.emit("close");
+    }
+
+    /** @private */
+    schedule(delayMs) {
+        this.timer = setTimeout(() => this.step(), delayMs);
+    }
+
+    /** @private */
+    step() {
+        if (this.index >= this.packets.length) {
+            this.end(false);
+            return;
+        }
+
+        const packet = this.packets[this.index++];
+        this.deliver(packet);
+        if (this.closed) return;
+
+        // Keep the recorded gaps between packets, scaled by speed
+        const next = this.packets[this.index];
+        const gap = next ? Math.max(0, next.time - packet.time) : 0;
+        this.schedule(this.speed > 0 ? gap / this.speed : 0);
+    }
+
+    /** @private */
+    end(stopped) {
+        this.ended = true;
+        this.emit("replayEnd", { packets: this.index, stopped });
+    }
+
+    /** @private */
+    deliver({ name, params }) {
+        this.emit("packet", { data: { name, params } });
+        this.emit(name, params);
+
+        if (name === "play_status" && params?.status === "player_spawn") {
+            this.emit("spawn");
+        } else if (name === "disconnect") {
+            this.emit("kick", params);
+        }
+    }
+}
+
+export default ReplayClient;
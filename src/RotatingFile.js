@@ -0,0 +1,107 @@
+/**
+ * ROTATING FILE
+ * Append-only log file that rotates when it grows too big or the day changes.
+ *
+ * Rotated files are shifted to <path>.1, <path>.2, ... and the oldest beyond
+ * maxFiles is deleted.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const DEFAULT_MAX_SIZE_MB = 10;
+const DEFAULT_MAX_FILES = 5;
+
+function dayOf(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export class RotatingFile {
+    /**
+     * @param {string} file - Path of the live file
+     * @param {object} [options]
+     * @param {number} [options.maxSizeMb=10] - Rotate before the file would exceed this (0 = never)
+     * @param {number} [options.maxFiles=5] - Rotated files to keep
+     * @param {boolean} [options.daily=true] - Also rotate at the first write of a new day
+     */
+    constructor(file, options = {}) {
+        this.file = file;
+        this.maxBytes = (options.maxSizeMb ?? DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+        this.maxFiles = options.maxFiles ?? DEFAULT_MAX_FILES;
+        this.daily = options.daily ?? true;
+        this.fd = null;
+        this.size = 0;
+        this.day = null;
+    }
+
+    /**
+     * Append one line (a newline is added).
+     */
+    write(line) {
+        const data = `${line}\n`;
+        const bytes = Buffer.byteLength(data);
+
+        if (this.fd === null) this.open();
+
+        const newDay = this.daily && this.day !== dayOf(new Date());
+        const tooBig = this.maxBytes > 0 && this.size > 0 && this.size + bytes > this.maxBytes;
+        if (newDay || tooBig) {
+            this.rotate();
+        }
+
+        fs.writeSync(this.fd, data);
+        this.size += bytes;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    /**
+     * The live file followed by rotated ones, newest first, that exist on disk.
+     */
+    files() {
+        const all = [this.file];
+        for (let i = 1; i <= this.maxFiles; i++) all.push(`${this.file}.${i}`);
+        return all.filter((f) => fs.existsSync(f));
+    }
+
+    /** @private */
+    open() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.fd = fs.openSync(this.file, "a");
+
+        const stat = fs.fstatSync(this.fd);
+        this.size = stat.size;
+        // An existing file belongs to the day it was last written
+        this.day = dayOf(stat.size > 0 ? stat.mtime : new Date());
+    }
+
+    /** @private */
+    rotate() {
+        this.close();
+
+        if (this.size > 0) {
+            const oldest = `${this.file}.${this.maxFiles}`;
+            if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+            for (let i = this.maxFiles - 1; i >= 1; i--) {
+                const from = `${this.file}.${i}`;
+                if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${i + 1}`);
+            }
+            if (this.maxFiles > 0) {
+                fs.renameSync(this.file, `${this.file}.1`);
+            } else {
+                fs.unlinkSync(this.file);
+            }
+        }
+
+        this.open();
+        this.day = dayOf(new Date());
+    }
+}
+
+export default RotatingFile;
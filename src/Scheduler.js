@@ -0,0 +1,207 @@
+/**
+ * SCHEDULER
+ * Runs the jobs from the `schedule` section of config.json while the player is spawned.
+ *
+ * Job:
+ *   { name, cron | intervalMs, jitterMs?, missed?, enabled?, command | chat | script }
+ *   cron       - 5-field cron expression (see cron.js), local time
+ *   intervalMs - fixed interval, counted from the previous run
+ *   jitterMs   - random extra delay of 0..jitterMs added to every run
+ *   missed     - what to do with runs that fell due while disconnected:
+ *                "skip" (default) or "run" (run once as soon as spawned)
+ *
+ * Emits on the owning client:
+ *   job ({ name, manual })
+ */
+
+import { Priority } from "./CommandQueue.js";
+import { parseCron } from "./cron.js";
+import { loadScript } from "./ScriptRunner.js";
+
+const TICK_MS = 1000;
+
+/**
+ * Validate one job from config.
+ * @throws {Error} on a bad schedule or action
+ */
+export function compileJob(job, index) {
+    const name = job.name || `job#${index + 1}`;
+
+    if (!job.cron === !job.intervalMs) {
+        throw new Error(`Job ${name} needs exactly one of cron or intervalMs`);
+    }
+    if (job.intervalMs !== undefined && !(job.intervalMs > 0)) {
+        throw new Error(`Job ${name} has an invalid intervalMs: ${job.intervalMs}`);
+    }
+    if ([job.command, job.chat, job.script].filter(Boolean).length !== 1) {
+        throw new Error(`Job ${name} needs exactly one of command, chat or script`);
+    }
+    if (job.missed !== undefined && !["skip", "run"].includes(job.missed)) {
+        throw new Error(`Job ${name} has an invalid missed policy: ${job.missed}`);
+    }
+
+    let cron = null;
+    if (job.cron) {
+        try {
+            cron = parseCron(job.cron);
+        } catch (error) {
+            throw new Error(`Job ${name}: ${error.message}`);
+        }
+    }
+
+    return {
+        name,
+        cron,
+        intervalMs: job.intervalMs ?? null,
+        jitterMs: job.jitterMs ?? 0,
+        missed: job.missed ?? "skip",
+        enabled: job.enabled ?? true,
+        command: job.command ?? null,
+        chat: job.chat ?? null,
+        script: job.script ?? null,
+        nextRun: null,
+        lastRun: null,
+        runs: 0,
+    };
+}
+
+export class Scheduler {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.jobs = [];
+        this.timer = null;
+
+        (bot.config.schedule || []).forEach((job, index) => {
+            try {
+                this.jobs.push(compileJob(job, index));
+            } catch (error) {
+                bot.logger.error(error.message);
+            }
+        });
+
+        const now = Date.now();
+        for (const job of this.jobs) this.plan(job, now);
+
+        bot.on("spawn", () => this.resume());
+        bot.on("stateChange", () => {
+            if (!bot.state.isSpawned) this.pause();
+        });
+    }
+
+    get paused() {
+        return this.timer === null;
+    }
+
+    get(name) {
+        return this.jobs.find((j) => j.name === name) || null;
+    }
+
+    /**
+     * Summary of every job for listings.
+     */
+    list() {
+        return this.jobs.map((j) => ({
+            name: j.name,
+            schedule: j.cron ? `cron ${j.cron.expression}` : `every ${j.intervalMs}ms`,
+            action: j.command ? `/${j.command.replace(/^\//, "")}` : j.chat ? `chat "${j.chat}"` : `script ${j.script}`,
+            enabled: j.enabled,
+            nextRun: j.nextRun,
+            lastRun: j.lastRun,
+            runs: j.runs,
+        }));
+    }
+
+    /**
+     * Run a job now, outside its schedule. Its next scheduled run is unchanged.
+     * @returns {boolean} false if no job has that name
+     */
+    trigger(name) {
+        const job = this.get(name);
+        if (!job) return false;
+        this.run(job, true);
+        return true;
+    }
+
+    /**
+     * Start ticking. Runs that fell due while paused are skipped or run once, per job.
+     * @private
+     */
+    resume() {
+        if (this.timer || this.jobs.length === 0) return;
+
+        const now = Date.now();
+        for (const job of this.jobs) {
+            if (!job.enabled || job.nextRun > now) continue;
+            if (job.missed === "run") {
+                this.bot.logger.info(`Job ${job.name} missed a run while disconnected, running now`);
+                // Leave nextRun in the past so the first tick runs it
+            } else {
+                this.plan(job, now);
+            }
+        }
+
+        this.timer = setInterval(() => this.tick(), TICK_MS);
+    }
+
+    /** @private */
+    pause() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /** @private */
+    tick() {
+        if (!this.bot.state.isSpawned) return;
+
+        const now = Date.now();
+        for (const job of this.jobs) {
+            if (job.enabled && job.nextRun !== null && job.nextRun <= now) {
+                this.run(job, false);
+                this.plan(job, now);
+            }
+        }
+    }
+
+    /**
+     * Work out a job's next run after `from`.
+     * @private
+     */
+    plan(job, from) {
+        const jitter = job.jitterMs > 0 ? Math.floor(Math.random() * job.jitterMs) : 0;
+        if (job.cron) {
+            const next = job.cron.next(new Date(from));
+            job.nextRun = next ? next.getTime() + jitter : null;
+        } else {
+            job.nextRun = from + job.intervalMs + jitter;
+        }
+    }
+
+    /** @private */
+    run(job, manual) {
+        const { bot } = this;
+        job.lastRun = Date.now();
+        job.runs++;
+
+        bot.logger.info(`Job ${job.name}${manual ? " (manual)" : ""}`);
+        bot.emit("job", { name: job.name, manual });
+
+        if (job.command) {
+            bot.exec(job.command, { priority: Priority.AUTO });
+        } else if (job.chat) {
+            bot.chat(job.chat, { priority: Priority.AUTO });
+        } else if (bot.scripts.running) {
+            bot.logger.warn(`Job ${job.name} skipped: script ${bot.scripts.current.name} is still running`);
+        } else {
+            try {
+                bot.scripts.run(loadScript(job.script, bot.config.scripts?.dir));
+            } catch (error) {
+                bot.logger.error(`Job ${job.name}: ${error.message}`);
+            }
+        }
+    }
+}
+
+export default Scheduler;
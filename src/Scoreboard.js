@@ -0,0 +1,365 @@
+/**
+ * SCOREBOARD
+ * Live model of the server-side HUD: scoreboard objectives and their scores
+ * (set_display_objective, set_score, remove_objective), boss bars (boss_event)
+ * and titles (set_title).
+ *
+ * Extractors from the `scoreboard` section of config.json turn that text into
+ * named numbers, e.g. the sidebar line "Money: $1.2M" into money = 1200000.
+ * Every change is kept in a per-stat history that survives reconnects.
+ *
+ * Extractor:
+ *   { name, pattern, flags?, source?, type? }
+ *   pattern - regex on the text without § codes; the value is the (?<value>...) group, else group 1
+ *   source  - "sidebar" (default) | "title" | "bossbar" | "any"
+ *   type    - "number" (default; "1,234", "1.2M", "$5k") | "duration" ("3d 4h 5m" → seconds)
+ *
+ * Emits on the owning client:
+ *   title      ({ type, text })              - title, subtitle or action bar shown
+ *   statChange ({ name, value, previous, raw, source })
+ */
+
+import { stripMinecraftColors } from "./text.js";
+
+const DEFAULT_HISTORY_SIZE = 1000;
+const SOURCES = ["sidebar", "title", "bossbar", "any"];
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+const DURATION_UNITS = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+
+// set_title types and the field they fill
+const TITLE_FIELDS = {
+    set_title: "title",
+    set_title_json: "title",
+    set_subtitle: "subtitle",
+    set_subtitle_json: "subtitle",
+    action_bar_message: "actionBar",
+    action_bar_message_json: "actionBar",
+};
+
+/**
+ * Parse "1,234.5", "$1.2M" or "5k" into a number, or null.
+ */
+export function parseNumber(text) {
+    const match = String(text).replace(/,/g, "").match(/(-?\d+(?:\.\d+)?)\s*([kmbt])?\b/i);
+    if (!match) return null;
+    return Number(match[1]) * (match[2] ? SUFFIXES[match[2].toLowerCase()] : 1);
+}
+
+/**
+ * Parse "3d 4h 5m" or "1h30m" into seconds, or null.
+ */
+export function parseDuration(text) {
+    let seconds = 0;
+    let found = false;
+    for (const [, amount, unit] of String(text).matchAll(/(\d+(?:\.\d+)?)\s*([wdhms])/gi)) {
+        seconds += Number(amount) * DURATION_UNITS[unit.toLowerCase()];
+        found = true;
+    }
+    return found ? seconds : null;
+}
+
+/**
+ * Plain text of a rawtext JSON title ({"rawtext":[{"text":"..."}]}), or the input as is.
+ */
+function rawText(text) {
+    try {
+        const json = JSON.parse(text);
+        return (json.rawtext || []).map((part) => part.text ?? part.translate ?? "").join("");
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Validate and compile one extractor.
+ * @throws {Error} on a bad pattern, source or type
+ */
+export function compileExtractor(extractor, index) {
+    const name = extractor.name;
+    if (!name) throw new Error(`Scoreboard extractor #${index + 1} has no name`);
+    if (!extractor.pattern) throw new Error(`Scoreboard extractor ${name} has no pattern`);
+
+    const source = extractor.source ?? "sidebar";
+    if (!SOURCES.includes(source)) {
+        throw new Error(`Scoreboard extractor ${name} has unknown source: ${source}`);
+    }
+    const type = extractor.type ?? "number";
+    if (type !== "number" && type !== "duration") {
+        throw new Error(`Scoreboard extractor ${name} has unknown type: ${type}`);
+    }
+
+    let regex;
+    try {
+        regex = new RegExp(extractor.pattern, extractor.flags ?? "i");
+    } catch (error) {
+        throw new Error(`Scoreboard extractor ${name} has an invalid pattern: ${error.message}`);
+    }
+
+    return { name, regex, source, parse: type === "duration" ? parseDuration : parseNumber };
+}
+
+export class Scoreboard {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.extractors = [];
+        this.stats = new Map(); // name → { value, raw, source, updatedAt, history: [{ time, value }] }
+
+        (this.options.extractors || []).forEach((extractor, index) => {
+            try {
+                this.extractors.push(compileExtractor(extractor, index));
+            } catch (error) {
+                bot.logger.error(error.message);
+            }
+        });
+
+        this.reset();
+    }
+
+    get options() {
+        return { historySize: DEFAULT_HISTORY_SIZE, ...this.bot.config.scoreboard };
+    }
+
+    /**
+     * Register packet handlers. `on` is the client's stale-safe subscribe function.
+     */
+    register(on) {
+        on("set_display_objective", (packet) => {
+            const name = packet.objective_name;
+            if (!this.objectives.has(name)) {
+                this.objectives.set(name, { name, scores: new Map() });
+            }
+            Object.assign(this.objectives.get(name), {
+                displayName: packet.display_name,
+                criteria: packet.criteria_name,
+                sortOrder: packet.sort_order,
+            });
+            this.display[packet.display_slot] = name;
+            this.bot.logger.debug(`Objective ${name} shown in ${packet.display_slot}: ${stripMinecraftColors(packet.display_name)}`);
+            if (packet.display_slot === "sidebar") this.extract("sidebar");
+        });
+
+        on("remove_objective", (packet) => {
+            this.objectives.delete(packet.objective_name);
+            for (const [slot, name] of Object.entries(this.display)) {
+                if (name === packet.objective_name) delete this.display[slot];
+            }
+        });
+
+        on("set_score", (packet) => {
+            let sidebarChanged = false;
+            for (const entry of packet.entries || []) {
+                const objective = this.objectives.get(entry.objective_name);
+                if (!objective) continue;
+
+                const id = String(entry.scoreboard_id);
+                if (packet.action === "remove") {
+                    objective.scores.delete(id);
+                } else {
+                    objective.scores.set(id, {
+                        id,
+                        name: entry.custom_name ?? `#${entry.entity_unique_id ?? id}`,
+                        score: entry.score,
+                        // Sidebar text lines are fake players; real entries show their score
+                        fake: entry.entry_type === "fake_player",
+                    });
+                }
+                if (objective.name === this.display.sidebar) sidebarChanged = true;
+            }
+            if (sidebarChanged) this.extract("sidebar");
+        });
+
+        on("boss_event", (packet) => {
+            const id = String(packet.boss_entity_id);
+            if (packet.type === "show_bar") {
+                this.bossBars.set(id, { title: packet.title, progress: packet.progress });
+            } else if (packet.type === "hide_bar") {
+                this.bossBars.delete(id);
+            } else if (packet.type === "set_bar_title" && this.bossBars.has(id)) {
+                this.bossBars.get(id).title = packet.title;
+            } else if (packet.type === "set_bar_progress" && this.bossBars.has(id)) {
+                this.bossBars.get(id).progress = packet.progress;
+                return;
+            } else {
+                return;
+            }
+            this.extract("bossbar");
+        });
+
+        on("set_title", (packet) => {
+            if (packet.type === "clear" || packet.type === "reset") {
+                this.titles = { title: "", subtitle: "", actionBar: "" };
+                return;
+            }
+
+            const field = TITLE_FIELDS[packet.type];
+            if (!field) return;
+
+            const text = packet.type.endsWith("_json") ? rawText(packet.text) : packet.text;
+            this.titles[field] = text;
+            this.bot.emit("title", { type: field, text });
+            this.extract("title");
+        });
+    }
+
+    /**
+     * Forget objectives, boss bars and titles, e.g. on disconnect.
+     * Extracted stats and their history are kept.
+     */
+    reset() {
+        this.objectives = new Map();
+        this.display = {}; // display slot ("sidebar", "list", "belowname") → objective name
+        this.bossBars = new Map();
+        this.titles = { title: "", subtitle: "", actionBar: "" };
+    }
+
+    /**
+     * The objective shown in the sidebar with its lines in display order.
+     * @returns {{ title: string, lines: Array<{ text: string, score: number, fake: boolean }> }|null}
+     */
+    getSidebar() {
+        const objective = this.objectives.get(this.display.sidebar);
+        if (!objective) return null;
+
+        // sort_order 0 = ascending, 1 = descending
+        const direction = objective.sortOrder === 0 ? 1 : -1;
+        const lines = [...objective.scores.values()]
+            .sort((a, b) => (a.score - b.score) * direction)
+            .map(({ name, score, fake }) => ({ text: name, score, fake }));
+        return { title: objective.displayName, lines };
+    }
+
+    /**
+     * Current value of every extracted stat.
+     * @returns {object} name → number
+     */
+    values() {
+        return Object.fromEntries([...this.stats].map(([name, stat]) => [name, stat.value]));
+    }
+
+    /**
+     * Session summary per stat: current, first, change, min, max and sample count.
+     */
+    getStats() {
+        return [...this.stats].map(([name, { value, raw, updatedAt, history }]) => {
+            const values = history.map((h) => h.value);
+            return {
+                name,
+                value,
+                raw,
+                updatedAt,
+                first: values[0],
+                change: value - values[0],
+                min: Math.min(...values),
+                max: Math.max(...values),
+                samples: values.length,
+            };
+        });
+    }
+
+    /**
+     * Recorded values of one stat, oldest first.
+     * @returns {Array<{ time: number, value: number }>}
+     */
+    history(name) {
+        return this.stats.get(name)?.history.slice() ?? [];
+    }
+
+    clearStats() {
+        this.stats.clear();
+    }
+
+    /**
+     * Render the HUD as text lines: sidebar, boss bars, titles and stats.
+     */
+    format() {
+        const lines = [];
+        const sidebar = this.getSidebar();
+        if (sidebar) {
+            lines.push(`Sidebar: ${stripMinecraftColors(sidebar.title)}`);
+            for (const { text, score, fake } of sidebar.lines) {
+                lines.push(`  ${stripMinecraftColors(text)}${fake ? "" : ` ${score}`}`);
+            }
+        } else {
+            lines.push("No sidebar shown");
+        }
+
+        for (const { title, progress } of this.bossBars.values()) {
+            lines.push(`Boss bar: ${stripMinecraftColors(title)} (${Math.round(progress * 100)}%)`);
+        }
+
+        for (const [field, label] of [["title", "Title"], ["subtitle", "Subtitle"], ["actionBar", "Action bar"]]) {
+            if (this.titles[field]) lines.push(`${label}: ${stripMinecraftColors(this.titles[field])}`);
+        }
+
+        for (const [name, { raw, value }] of this.stats) {
+            lines.push(`Stat ${name}: ${value} (${raw})`);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Texts of one HUD source, without § codes.
+     * @private
+     */
+    texts(source) {
+        switch (source) {
+            case "sidebar":
+                return (this.getSidebar()?.lines || []).map((l) => stripMinecraftColors(l.text));
+            case "title":
+                return Object.values(this.titles).filter(Boolean).map(stripMinecraftColors);
+            case "bossbar":
+                return [...this.bossBars.values()].map((b) => stripMinecraftColors(b.title));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Run the extractors that read from `source` and record changed values.
+     * @private
+     */
+    extract(source) {
+        const texts = this.texts(source);
+
+        for (const extractor of this.extractors) {
+            if (extractor.source !== source && extractor.source !== "any") continue;
+
+            for (const text of texts) {
+                const match = text.match(extractor.regex);
+                if (!match) continue;
+
+                const raw = (match.groups?.value ?? match[1] ?? match[0]).trim();
+                const value = extractor.parse(raw);
+                if (value !== null) this.record(extractor.name, value, raw, source);
+                break;
+            }
+        }
+    }
+
+    /** @private */
+    record(name, value, raw, source) {
+        const now = Date.now();
+        let stat = this.stats.get(name);
+        if (!stat) {
+            stat = { value: null, raw, source, updatedAt: now, history: [] };
+            this.stats.set(name, stat);
+        }
+
+        const previous = stat.value;
+        Object.assign(stat, { raw, source, updatedAt: now });
+        if (previous === value) return;
+
+        stat.value = value;
+        stat.history.push({ time: now, value });
+        while (stat.history.length > this.options.historySize) stat.history.shift();
+
+        this.bot.logger.debug(`Stat ${name}: ${previous ?? "-"} → ${value}`);
+        this.bot.emit("statChange", { name, value, previous, raw, source });
+    }
+}
+
+export default Scoreboard;
@@ -0,0 +1,532 @@
+/**
+ * SCRIPT RUNNER
+ * Runs JSON macro scripts: multi-step sequences like
+ * "wait for ready → /tpa → wait for GUI → click slot 16 → wait for close".
+ *
+ * Script file (scripts/<name>.json), either a steps array or:
+ *   { "name": "...", "timeoutMs": 10000, "steps": [ ... ] }
+ *
+ * Steps (one key picks the step type, timeoutMs overrides the default per step):
+ *   { "exec": "tpa Bob", "expectSuccess"?: true }
+ *   { "chat": "hello" }
+ *   { "wait": 1000 }
+ *   { "waitForReady": true }
+ *   { "waitForChat": "regex", "flags"?: "i" } - matches lines received since the last waitForChat
+ *   { "waitForGui": true }          - an already open container counts
+ *   { "waitForClose": true }
+ *   { "waitForForm": true }
+ *   { "click": 16 }
+ *   { "close": true }
+ *   { "goto": [x, y, z], "speed"?: 4.3 } - walk in a straight line, fails unless it arrives
+ *   { "look": [yaw, pitch] }
+ *   { "formRespond": "Buy" }        - button index/text, yes/no, or a JSON value
+ *   { "log": "text" }
+ *   { "fail": "reason" }
+ *   { "if": <condition>, "then": [ ... ], "else": [ ... ] }
+ *   { "repeat": 5 | true, "until"?: <condition>, "steps": [ ... ] }
+ *
+ * Conditions (all given keys must hold):
+ *   { "chat": "regex" }   last chat line matches      { "success": true }  last exec result
+ *   { "guiOpen": true }   { "formOpen": true }        { "slot": 16, "item": "regex" }
+ *   { "online": "Bob" }   player is in the player list
+ *   { "has": "diamond", "count"?: 5 }  at least count of the item in the bot's inventory
+ *   { "not": <condition> }
+ *
+ * Text in exec/chat/formRespond/log/fail and the online condition may use $0-$9 and $<name> from the last waitForChat.
+ *
+ * Emits on the owning client:
+ *   scriptStep ({ script, step, description })
+ *   scriptEnd  ({ script, ok, step?, error? })
+ */
+
+import fs from "fs";
+import path from "path";
+import { ConnectionState } from "./StateMachine.js";
+import { expandTemplate } from "./TriggerEngine.js";
+
+const DEFAULT_SCRIPT_DIR = "./scripts";
+const DEFAULT_STEP_TIMEOUT_MS = 10000;
+
+// Chat lines kept for waitForChat look-back
+const CHAT_BUFFER_SIZE = 100;
+
+const STEP_TYPES = [
+    "exec", "chat", "wait", "waitForReady", "waitForChat", "waitForGui", "waitForClose",
+    "waitForForm", "click", "close", "goto", "look", "formRespond", "log", "fail", "if", "repeat",
+];
+
+const CONDITION_KEYS = ["chat", "success", "guiOpen", "formOpen", "slot", "item", "online", "has", "count", "not"];
+
+class StepError extends Error {
+    constructor(step, message) {
+        super(message);
+        this.step = step;
+    }
+}
+
+function stepType(step) {
+    return STEP_TYPES.find((type) => Object.prototype.hasOwnProperty.call(step, type)) || null;
+}
+
+function validateCondition(condition, where) {
+    if (!condition || typeof condition !== "object") {
+        throw new Error(`${where}: condition must be an object`);
+    }
+    for (const key of Object.keys(condition)) {
+        if (!CONDITION_KEYS.includes(key)) throw new Error(`${where}: unknown condition "${key}"`);
+    }
+    try {
+        if (condition.chat !== undefined) new RegExp(condition.chat);
+        if (condition.item !== undefined) new RegExp(condition.item);
+    } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+    }
+    if (condition.count !== undefined && condition.has === undefined) {
+        throw new Error(`${where}: count needs has`);
+    }
+    if (condition.not) validateCondition(condition.not, where);
+}
+
+/**
+ * Check a list of steps before running anything.
+ * @throws {Error} naming the first bad step
+ */
+function validateSteps(steps, prefix = "") {
+    if (!Array.isArray(steps)) {
+        throw new Error(`${prefix ? `Step ${prefix}: ` : ""}steps must be an array`);
+    }
+
+    steps.forEach((step, i) => {
+        const label = `${prefix}${i + 1}`;
+        const where = `Step ${label}`;
+        const type = step && typeof step === "object" ? stepType(step) : null;
+        if (!type) {
+            throw new Error(`${where}: unknown step ${JSON.stringify(step)}`);
+        }
+
+        try {
+            if (type === "waitForChat") new RegExp(step.waitForChat);
+        } catch (error) {
+            throw new Error(`${where}: ${error.message}`);
+        }
+        if (type === "wait" && !(step.wait >= 0)) throw new Error(`${where}: wait needs a duration in ms`);
+        if (type === "click" && !Number.isInteger(step.click)) throw new Error(`${where}: click needs a slot number`);
+        if (type === "goto" && !(Array.isArray(step.goto) && step.goto.length === 3 && step.goto.every(Number.isFinite))) {
+            throw new Error(`${where}: goto needs [x, y, z]`);
+        }
+        if (type === "look" && !(Array.isArray(step.look) && step.look.length >= 1 && step.look.every(Number.isFinite))) {
+            throw new Error(`${where}: look needs [yaw, pitch]`);
+        }
+        if (type === "if") {
+            validateCondition(step.if, where);
+            validateSteps(step.then || [], `${label}.`);
+            validateSteps(step.else || [], `${label}.`);
+        }
+        if (type === "repeat") {
+            if (step.repeat !== true && !(Number.isInteger(step.repeat) && step.repeat >= 0)) {
+                throw new Error(`${where}: repeat needs a count or true`);
+            }
+            if (step.until) validateCondition(step.until, where);
+            validateSteps(step.steps, `${label}.`);
+        }
+    });
+}
+
+/**
+ * Load and validate a script by file path or by name in the scripts directory.
+ * @param {string} name - "shop", "shop.json" or a path
+ * @param {string} [dir="./scripts"]
+ * @returns {{ name: string, timeoutMs?: number, steps: object[] }}
+ */
+export function loadScript(name, dir = DEFAULT_SCRIPT_DIR) {
+    const candidates = [name, path.join(dir, name), path.join(dir, `${name}.json`)];
+    const file = candidates.find((f) => fs.existsSync(f) && fs.statSync(f).isFile());
+    if (!file) {
+        throw new Error(`Script not found: ${name}`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Script ${file} is not valid JSON: ${error.message}`);
+    }
+
+    const script = Array.isArray(data) ? { steps: data } : data;
+    script.name = script.name || path.basename(file, ".json");
+
+    try {
+        validateSteps(script.steps);
+    } catch (error) {
+        throw new Error(`Script ${script.name}: ${error.message}`);
+    }
+    return script;
+}
+
+/**
+ * List script names in the scripts directory.
+ */
+export function listScripts(dir = DEFAULT_SCRIPT_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => f.slice(0, -5))
+        .sort();
+}
+
+/**
+ * One-line description of a step for progress output.
+ */
+function describe(step) {
+    const type = stepType(step);
+    switch (type) {
+        case "exec":
+        case "chat":
+        case "log":
+        case "fail":
+            return `${type} ${step[type]}`;
+        case "wait":
+            return `wait ${step.wait}ms`;
+        case "waitForChat":
+            return `waitForChat /${step.waitForChat}/`;
+        case "click":
+            return `click ${step.click}`;
+        case "goto":
+        case "look":
+            return `${type} ${step[type].join(" ")}`;
+        case "formRespond":
+            return `formRespond ${JSON.stringify(step.formRespond)}`;
+        case "if":
+            return `if ${JSON.stringify(step.if)}`;
+        case "repeat":
+            return `repeat ${step.repeat === true ? "forever" : `${step.repeat}x`}${step.until ? ` until ${JSON.stringify(step.until)}` : ""}`;
+        default:
+            return type;
+    }
+}
+
+export class ScriptRunner {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.current = null;
+    }
+
+    get running() {
+        return this.current !== null;
+    }
+
+    get defaultTimeoutMs() {
+        return this.bot.config.scripts?.timeoutMs ?? DEFAULT_STEP_TIMEOUT_MS;
+    }
+
+    /**
+     * Run a script to completion. Only one script runs per client at a time.
+     * @param {object} script - From loadScript()
+     * @returns {Promise<{ ok: boolean, step?: string, error?: string }>} never rejects
+     */
+    async run(script) {
+        const { bot } = this;
+        if (this.current) {
+            return { ok: false, error: `Script ${this.current.name} is already running` };
+        }
+
+        const ctx = {
+            name: script.name,
+            timeoutMs: script.timeoutMs ?? this.defaultTimeoutMs,
+            stopped: false,
+            cancels: new Set(),
+            chat: [],           // { seq, message } received while running
+            chatSeq: 0,
+            chatWaiters: new Set(),
+            mark: 0,            // chatSeq of the last waitForChat match
+            match: null,        // last waitForChat match, for $1 templates
+            lastResult: null,   // last exec command_output
+        };
+        this.current = ctx;
+
+        const onChat = ({ message }) => {
+            ctx.chat.push({ seq: ++ctx.chatSeq, message });
+            if (ctx.chat.length > CHAT_BUFFER_SIZE) ctx.chat.shift();
+            for (const waiter of ctx.chatWaiters) waiter(message);
+        };
+        bot.on("chat", onChat);
+
+        bot.logger.info(`Script ${ctx.name} started`);
+        try {
+            await this.runSteps(ctx, script.steps, "");
+            bot.logger.info(`Script ${ctx.name} finished`);
+            bot.emit("scriptEnd", { script: ctx.name, ok: true });
+            return { ok: true };
+        } catch (error) {
+            const step = error.step || null;
+            bot.logger.error(`Script ${ctx.name} failed${step ? ` at step ${step}` : ""}: ${error.message}`);
+            bot.emit("scriptEnd", { script: ctx.name, ok: false, step, error: error.message });
+            return { ok: false, step, error: error.message };
+        } finally {
+            bot.off("chat", onChat);
+            this.current = null;
+        }
+    }
+
+    /**
+     * Abort the running script; its current wait fails with "Stopped".
+     * @returns {boolean} false if nothing was running
+     */
+    stop() {
+        const ctx = this.current;
+        if (!ctx) return false;
+        ctx.stopped = true;
+        for (const cancel of [...ctx.cancels]) cancel(new Error("Stopped"));
+        return true;
+    }
+
+    /** @private */
+    async runSteps(ctx, steps, prefix) {
+        for (let i = 0; i < steps.length; i++) {
+            const label = `${prefix}${i + 1}`;
+            if (ctx.stopped) throw new StepError(label, "Stopped");
+
+            const step = steps[i];
+            const description = describe(step);
+            this.bot.logger.info(`▶ ${ctx.name} ${label}: ${description}`);
+            this.bot.emit("scriptStep", { script: ctx.name, step: label, description });
+
+            try {
+                await this.runStep(ctx, step, label);
+            } catch (error) {
+                if (error instanceof StepError) throw error;
+                throw new StepError(label, `${description}: ${error.message}`);
+            }
+        }
+    }
+
+    /** @private */
+    async runStep(ctx, step, label) {
+        const { bot } = this;
+        const timeoutMs = step.timeoutMs ?? ctx.timeoutMs;
+        const text = (value) => expandTemplate(value, ctx.match || []);
+
+        switch (stepType(step)) {
+            case "exec": {
+                const { output, error } = bot.sendCommand(text(step.exec), { timeoutMs });
+                if (!output) throw new Error(error);
+
+                if (!step.expectSuccess) {
+                    output.then((result) => { ctx.lastResult = result; }, () => {});
+                    return;
+                }
+                const result = await this.guard(ctx, output);
+                ctx.lastResult = result;
+                if (!result.success) {
+                    const reason = result.messages.map((m) => m.text).join("; ") || "command failed";
+                    throw new Error(reason);
+                }
+                return;
+            }
+
+            case "chat":
+                if (!bot.chat(text(step.chat))) throw new Error("Chat not sent");
+                return;
+
+            case "wait":
+                return this.waitFor(ctx, (done) => {
+                    const timer = setTimeout(done, step.wait);
+                    return () => clearTimeout(timer);
+                });
+
+            case "waitForReady":
+                if (bot.state.is(ConnectionState.READY)) return;
+                return this.waitFor(ctx, (done) => {
+                    bot.on("ready", done);
+                    return () => bot.off("ready", done);
+                }, timeoutMs, "ready");
+
+            case "waitForChat": {
+                const regex = new RegExp(step.waitForChat, step.flags ?? "i");
+                // A reply may already have arrived while earlier steps were running
+                for (const line of ctx.chat) {
+                    const match = line.seq > ctx.mark && regex.exec(line.message);
+                    if (match) {
+                        ctx.match = match;
+                        ctx.mark = line.seq;
+                        return;
+                    }
+                }
+                ctx.match = await this.waitFor(ctx, (done) => {
+                    const waiter = (message) => {
+                        const match = regex.exec(message);
+                        if (match) done(match);
+                    };
+                    ctx.chatWaiters.add(waiter);
+                    return () => ctx.chatWaiters.delete(waiter);
+                }, timeoutMs, `chat matching /${step.waitForChat}/`);
+                ctx.mark = ctx.chatSeq;
+                return;
+            }
+
+            case "waitForGui":
+                await this.guard(ctx, bot.gui.waitForOpen(timeoutMs));
+                return;
+
+            case "waitForClose":
+                if (!bot.gui.container) return;
+                return this.waitFor(ctx, (done) => {
+                    bot.on("guiClose", done);
+                    return () => bot.off("guiClose", done);
+                }, timeoutMs, "container close");
+
+            case "waitForForm":
+                await this.guard(ctx, bot.forms.waitForForm(timeoutMs));
+                return;
+
+            case "click":
+                if (!bot.gui.clickSlot(step.click)) throw new Error("Click failed");
+                return;
+
+            case "close":
+                if (!bot.gui.close()) throw new Error("No container open");
+                return;
+
+            case "goto": {
+                // Walks can take longer than the script's default wait, so only an explicit timeoutMs applies
+                const [x, y, z] = step.goto;
+                const result = await this.waitFor(ctx, (done) => {
+                    let ended = false;
+                    bot.movement.goto(x, y, z, { speed: step.speed, timeoutMs: step.timeoutMs }).then((r) => {
+                        ended = true;
+                        done(r);
+                    });
+                    return () => { if (!ended) bot.movement.stop(); };
+                });
+                if (!result.ok) throw new Error(result.reason);
+                return;
+            }
+
+            case "look":
+                if (!bot.movement.look(step.look[0], step.look[1] ?? 0)) throw new Error("Not spawned or not connected");
+                return;
+
+            case "formRespond": {
+                await this.guard(ctx, bot.forms.waitForForm(timeoutMs));
+                const value = step.formRespond;
+                const sent = typeof value === "string" ? bot.forms.respondText(text(value)) : bot.forms.respond(value);
+                if (!sent) throw new Error("Form response rejected");
+                return;
+            }
+
+            case "log":
+                bot.logger.info(`[${ctx.name}] ${text(step.log)}`);
+                return;
+
+            case "fail":
+                throw new Error(text(step.fail) || "Failed");
+
+            case "if": {
+                const branch = this.check(ctx, step.if) ? step.then : step.else;
+                return this.runSteps(ctx, branch || [], `${label}.`);
+            }
+
+            case "repeat": {
+                for (let n = 1; step.repeat === true || n <= step.repeat; n++) {
+                    // Steps that never wait would otherwise starve packets, timers and stop()
+                    await new Promise((resolve) => setImmediate(resolve));
+                    if (ctx.stopped) throw new StepError(label, "Stopped");
+                    if (step.until && this.check(ctx, step.until)) return;
+                    bot.logger.info(`↻ ${ctx.name} ${label}: iteration ${n}${step.repeat === true ? "" : `/${step.repeat}`}`);
+                    await this.runSteps(ctx, step.steps, `${label}.`);
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Evaluate an if/until condition.
+     * @private
+     */
+    check(ctx, condition) {
+        const { bot } = this;
+        const results = [];
+
+        if (condition.chat !== undefined) {
+            const last = ctx.chat[ctx.chat.length - 1]?.message ?? "";
+            results.push(new RegExp(condition.chat, "i").test(last));
+        }
+        if (condition.success !== undefined) {
+            results.push(Boolean(ctx.lastResult?.success) === condition.success);
+        }
+        if (condition.guiOpen !== undefined) {
+            results.push(Boolean(bot.gui.container) === condition.guiOpen);
+        }
+        if (condition.formOpen !== undefined) {
+            results.push(Boolean(bot.forms.form) === condition.formOpen);
+        }
+        if (condition.slot !== undefined) {
+            const item = bot.items.describe(bot.gui.container?.slots[condition.slot]);
+            results.push(condition.item === undefined
+                ? item !== null
+                : item !== null && new RegExp(condition.item, "i").test(`${item.name} ${item.id}`));
+        }
+        if (condition.online !== undefined) {
+            results.push(bot.players.isOnline(expandTemplate(condition.online, ctx.match || [])));
+        }
+        if (condition.has !== undefined) {
+            results.push(bot.inventory.count(condition.has) >= (condition.count ?? 1));
+        }
+        if (condition.not) {
+            results.push(!this.check(ctx, condition.not));
+        }
+
+        return results.every(Boolean);
+    }
+
+    /**
+     * Wait for something that calls `done` (or `fail`), failing on timeout or stop().
+     * @param {(done: Function, fail: Function) => Function} subscribe - returns an unsubscribe function
+     * @private
+     */
+    waitFor(ctx, subscribe, timeoutMs = 0, what = "") {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let unsubscribe = null;
+            let timer = null;
+
+            const finish = (fn, value) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                ctx.cancels.delete(cancel);
+                unsubscribe?.();
+                fn(value);
+            };
+            const cancel = (error) => finish(reject, error);
+
+            ctx.cancels.add(cancel);
+            if (timeoutMs > 0) {
+                timer = setTimeout(() => cancel(new Error(`Timed out after ${timeoutMs}ms waiting for ${what}`)), timeoutMs);
+            }
+            unsubscribe = subscribe((value) => finish(resolve, value), cancel);
+            if (settled) unsubscribe();
+        });
+    }
+
+    /**
+     * Await a promise, but give up as soon as stop() is called.
+     * @private
+     */
+    guard(ctx, promise) {
+        return this.waitFor(ctx, (done, fail) => {
+            let active = true;
+            promise.then(
+                (value) => active && done(value),
+                (error) => active && fail(error),
+            );
+            return () => { active = false; };
+        });
+    }
+}
+
+export default ScriptRunner;
@@ -0,0 +1,120 @@
+/**
+ * CONNECTION STATE MACHINE
+ * Single source of truth for where a client is in its connection lifecycle.
+ *
+ * DISCONNECTED → CONNECTING → AUTHENTICATING → RESOURCE_PACKS → SPAWNING
+ *              → WAITING_COMMANDS → READY
+ *
+ * Any active state can drop to DISCONNECTED, RECONNECTING or ERROR.
+ *
+ * Events:
+ *   stateChange ({ from, to, reason })
+ */
+
+import { EventEmitter } from "events";
+
+export const ConnectionState = Object.freeze({
+    DISCONNECTED: "DISCONNECTED",
+    CONNECTING: "CONNECTING",
+    AUTHENTICATING: "AUTHENTICATING",
+    RESOURCE_PACKS: "RESOURCE_PACKS",
+    SPAWNING: "SPAWNING",
+    WAITING_COMMANDS: "WAITING_COMMANDS",
+    READY: "READY",
+    RECONNECTING: "RECONNECTING",
+    ERROR: "ERROR",
+});
+
+const S = ConnectionState;
+
+// Where the connection can go once it is lost
+const EXITS = [S.DISCONNECTED, S.RECONNECTING, S.ERROR];
+
+const TRANSITIONS = {
+    [S.DISCONNECTED]: [S.CONNECTING],
+    [S.CONNECTING]: [S.AUTHENTICATING, ...EXITS],
+    // Some servers skip the resource pack exchange entirely
+    [S.AUTHENTICATING]: [S.RESOURCE_PACKS, S.SPAWNING, ...EXITS],
+    [S.RESOURCE_PACKS]: [S.SPAWNING, ...EXITS],
+    [S.SPAWNING]: [S.WAITING_COMMANDS, ...EXITS],
+    [S.WAITING_COMMANDS]: [S.READY, ...EXITS],
+    [S.READY]: [...EXITS],
+    [S.RECONNECTING]: [S.CONNECTING, S.DISCONNECTED],
+    [S.ERROR]: [S.CONNECTING, S.RECONNECTING, S.DISCONNECTED],
+};
+
+// States in which the player is in the world and may send commands
+const SPAWNED_STATES = [S.WAITING_COMMANDS, S.READY];
+
+export class StateMachine extends EventEmitter {
+    constructor(initial = S.DISCONNECTED) {
+        super();
+        this.state = initial;
+        this.since = Date.now();
+        this.commandsAvailable = false;
+        this.inventoryReady = false;
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    // Validasi transisi
+    canTransition(newState) {
+        return (TRANSITIONS[this.state] || []).includes(newState);
+    }
+
+    /**
+     * Move to a new state.
+     * @returns {boolean} false if the transition is not allowed from the current state
+     */
+    transition(newState, reason = "") {
+        if (!this.canTransition(newState)) {
+            return false;
+        }
+
+        const from = this.state;
+        this.state = newState;
+        this.since = Date.now();
+
+        // Readiness flags belong to a single session
+        if (newState === S.CONNECTING || EXITS.includes(newState)) {
+            this.commandsAvailable = false;
+            this.inventoryReady = false;
+        }
+
+        this.emit("stateChange", { from, to: newState, reason });
+        this.checkReadyState();
+        return true;
+    }
+
+    // Mark commands ready
+    setCommandsAvailable() {
+        this.commandsAvailable = true;
+        this.checkReadyState();
+    }
+
+    // Mark inventory ready
+    setInventoryReady() {
+        this.inventoryReady = true;
+        this.checkReadyState();
+    }
+
+    // Auto-transition ke READY jika semua syarat terpenuhi
+    checkReadyState() {
+        if (this.state === S.WAITING_COMMANDS && this.commandsAvailable && this.inventoryReady) {
+            this.transition(S.READY, "Commands & Inventory ready");
+        }
+    }
+
+    get isSpawned() {
+        return SPAWNED_STATES.includes(this.state);
+    }
+
+    /** True while a connection attempt or session is in progress */
+    get isActive() {
+        return !this.is(S.DISCONNECTED, S.RECONNECTING, S.ERROR);
+    }
+}
+
+export default StateMachine;
@@ -0,0 +1,204 @@
+/**
+ * TRIGGER ENGINE
+ * Declarative chat triggers from the `triggers` section of config.json:
+ * a regex on incoming server messages that runs an action.
+ *
+ * Rule:
+ *   { name, pattern, flags?, from?, cooldownMs?, enabled?, action }
+ *   from   - sender filter: a name, a list of names, or "/regex/". The sender is the
+ *            packet's source name, or the (?<sender>...) group for system messages.
+ *   action - { type: "exec", command } | { type: "chat", message }
+ *            | { type: "notify", message? } | { type: "disconnect" }
+ *            (or a list of them). Text may use $0-$9 and $<name> from the match.
+ *
+ * Emits on the owning client:
+ *   trigger      ({ name, message, sender, groups })
+ *   notification ({ title, message, source })  - from notify actions
+ */
+
+import { Priority } from "./CommandQueue.js";
+
+const ACTION_TYPES = ["exec", "chat", "notify", "disconnect"];
+
+/**
+ * Fill $0-$9 and $<name> placeholders from a regex match.
+ */
+export function expandTemplate(template, match) {
+    return String(template).replace(/\$(\d|<(\w+)>)/g, (token, index, name) => {
+        const value = name ? match.groups?.[name] : match[Number(index)];
+        return value ?? "";
+    });
+}
+
+/**
+ * Regex flags without "g" and "y": those make exec()/test() resume from lastIndex,
+ * so a rule would skip every other matching message.
+ */
+function statelessFlags(flags) {
+    return String(flags).replace(/[gy]/g, "");
+}
+
+/**
+ * Build a sender test from a rule's `from` option.
+ * @returns {(sender: string) => boolean}
+ */
+function senderFilter(from) {
+    if (from === undefined || from === null) return () => true;
+
+    if (typeof from === "string") {
+        const literal = from.match(/^\/(.*)\/([a-z]*)$/);
+        if (literal) {
+            const regex = new RegExp(literal[1], statelessFlags(literal[2]));
+            return (sender) => regex.test(sender);
+        }
+    }
+
+    const names = [].concat(from).map((n) => String(n).toLowerCase());
+    return (sender) => names.includes(sender.toLowerCase());
+}
+
+/**
+ * Validate and compile one rule.
+ * @throws {Error} on a bad pattern or action
+ */
+export function compileRule(rule, index) {
+    const name = rule.name || `trigger#${index + 1}`;
+    if (!rule.pattern) {
+        throw new Error(`Trigger ${name} has no pattern`);
+    }
+
+    const actions = [].concat(rule.action || []);
+    if (actions.length === 0) {
+        throw new Error(`Trigger ${name} has no action`);
+    }
+    for (const action of actions) {
+        if (!ACTION_TYPES.includes(action?.type)) {
+            throw new Error(`Trigger ${name} has unknown action type: ${action?.type}`);
+        }
+    }
+
+    let regex, matchesSender;
+    try {
+        regex = new RegExp(rule.pattern, statelessFlags(rule.flags ?? "i"));
+        matchesSender = senderFilter(rule.from);
+    } catch (error) {
+        throw new Error(`Trigger ${name} has an invalid pattern: ${error.message}`);
+    }
+
+    return {
+        name,
+        regex,
+        matchesSender,
+        cooldownMs: rule.cooldownMs ?? 0,
+        enabled: rule.enabled ?? true,
+        actions,
+        lastFired: 0,
+        fired: 0,
+    };
+}
+
+export class TriggerEngine {
+    /**
+     * @param {import("./BedrockHeadlessClient.js").BedrockHeadlessClient} bot
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.rules = [];
+
+        (bot.config.triggers || []).forEach((rule, index) => {
+            try {
+                this.rules.push(compileRule(rule, index));
+            } catch (error) {
+                bot.logger.error(error.message);
+            }
+        });
+
+        bot.on("chat", (chat) => this.handle(chat));
+    }
+
+    /**
+     * Look up a rule by name.
+     */
+    get(name) {
+        return this.rules.find((r) => r.name === name) || null;
+    }
+
+    /**
+     * Enable or disable a rule at runtime.
+     * @returns {boolean} false if no rule has that name
+     */
+    setEnabled(name, enabled) {
+        const rule = this.get(name);
+        if (!rule) return false;
+        rule.enabled = enabled;
+        return true;
+    }
+
+    /**
+     * Summary of every rule for listings.
+     */
+    list() {
+        return this.rules.map((r) => ({
+            name: r.name,
+            pattern: r.regex.source,
+            enabled: r.enabled,
+            cooldownMs: r.cooldownMs,
+            actions: r.actions.map((a) => a.type),
+            fired: r.fired,
+            lastFired: r.lastFired || null,
+        }));
+    }
+
+    /** @private */
+    handle({ message, source }) {
+        // Never react to our own messages, a chat reply could loop forever
+        if (source && source === this.bot.playerName) return;
+
+        const now = Date.now();
+        for (const rule of this.rules) {
+            if (!rule.enabled) continue;
+
+            const match = rule.regex.exec(message);
+            if (!match) continue;
+
+            const sender = source || match.groups?.sender || "";
+            if (!rule.matchesSender(sender)) continue;
+
+            if (rule.cooldownMs > 0 && now - rule.lastFired < rule.cooldownMs) continue;
+            rule.lastFired = now;
+            rule.fired++;
+
+            this.bot.logger.info(`Trigger ${rule.name} matched${sender ? ` (from ${sender})` : ""}`);
+            this.bot.emit("trigger", { name: rule.name, message, sender, groups: [...match] });
+
+            for (const action of rule.actions) {
+                this.run(rule, action, match, message);
+            }
+        }
+    }
+
+    /** @private */
+    run(rule, action, match, message) {
+        const { bot } = this;
+        switch (action.type) {
+            case "exec":
+                bot.exec(expandTemplate(action.command, match), { priority: Priority.AUTO });
+                break;
+            case "chat":
+                bot.chat(expandTemplate(action.message, match), { priority: Priority.AUTO });
+                break;
+            case "notify": {
+                const text = action.message ? expandTemplate(action.message, match) : message;
+                bot.logger.warn(`[${rule.name}] ${text}`);
+                bot.emit("notification", { title: `Trigger ${rule.name}`, message: text, source: "trigger" });
+                break;
+            }
+            case "disconnect":
+                bot.logger.warn(`Trigger ${rule.name} is disconnecting`);
+                bot.disconnect();
+                break;
+        }
+    }
+}
+
+export default TriggerEngine;
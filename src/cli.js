@@ -0,0 +1,692 @@
+/**
+ * SIMPLE BEDROCK CLIENT - console REPL
+ * Command-line entry point: loads config.json, starts the accounts and the
+ * optional control API, then reads commands from stdin. Type `help` for the list.
+ */
+
+import readline from "readline";
+import { AccountManager } from "./AccountManager.js";
+import { Priority } from "./CommandQueue.js";
+import { ApiServer } from "./ApiServer.js";
+import { formatForm } from "./FormHandler.js";
+import { listRecordings } from "./PacketRecorder.js";
+import { EYE_HEIGHT } from "./PlayerState.js";
+import { loadScript, listScripts } from "./ScriptRunner.js";
+import { loadConfig } from "./config.js";
+import { createLogger, attachPrompt, configureLogging, readTranscript, hasTranscript } from "./logger.js";
+
+// Load config
+const config = loadConfig("./config.json");
+configureLogging(config.logging);
+
+const logger = createLogger();
+const accounts = new AccountManager(config);
+const multiAccount = accounts.names.length > 1;
+const scriptDir = config.scripts?.dir || "./scripts";
+const recordDir = config.record?.dir || "./recordings";
+
+// Optional HTTP/WebSocket control API (see ApiServer.js)
+let api = null;
+if (config.api?.port) {
+    api = new ApiServer(accounts, config.api, { logger });
+    api.start().catch((err) => {
+        logger.error(`API not started: ${err.message}`);
+        api = null;
+    });
+}
+
+function shutdown() {
+    logger.info("Shutting down...");
+    api?.stop();
+    accounts.disconnectAll();
+    rl.close();
+    process.exit(0);
+}
+
+const REPL_COMMANDS = [
+    "connect", "disconnect", "exec", "accounts", "use", "status", "latency", "commands", "players",
+    "inv", "pos", "goto", "look", "respawn", "scoreboard", "gui", "click", "close", "form", "logs", "triggers", "notify", "run", "stop", "jobs", "queue", "record", "replay", "help", "exit",
+];
+
+/**
+ * Print the REPL commands, at startup and for `help`.
+ */
+function printHelp() {
+    console.log("Commands:");
+    console.log("  connect [all]        - Connect to server");
+    console.log("  disconnect [all]     - Disconnect from server");
+    console.log("  exec <command>       - Execute a command");
+    console.log("  exec @all <command>  - Execute on every connected account");
+    console.log("  exec @<acc> <cmd>    - Execute on one account");
+    console.log("  accounts             - List accounts");
+    console.log("  use <account>        - Switch the current account");
+    console.log("  status               - Show connection state");
+    console.log("  commands [filter]    - List commands the server advertises");
+    console.log("  latency              - Show round-trip time statistics");
+    console.log("  players [filter]     - List online players");
+    console.log("  inv [item]           - Show own inventory, or how many of an item it holds");
+    console.log("  pos                  - Show position, dimension, health and deaths");
+    console.log("  goto <x> <y> <z> [speed] - Walk in a straight line (~ = relative)");
+    console.log("  goto stop            - Stop walking");
+    console.log("  look <yaw> [pitch]   - Turn to face a direction (degrees)");
+    console.log("  respawn              - Leave the death screen");
+    console.log("  scoreboard           - Show sidebar, boss bars, titles and extracted stats");
+    console.log("  scoreboard stats     - Show how each stat changed this session");
+    console.log("  scoreboard history <stat> [n] - Show the last n recorded values of a stat");
+    console.log("  scoreboard clear     - Forget the recorded stat history");
+    console.log("  gui [command]        - Show open container, or run command and wait for one");
+    console.log("  click <slot>         - Click a slot in the open container");
+    console.log("  close                - Close the open container");
+    console.log("  form [choice]        - Show open form, or answer it (button index/text, yes/no)");
+    console.log("  form submit [json]   - Submit a custom form (defaults if no JSON)");
+    console.log("  form close           - Close the open form");
+    console.log("  logs tail [n]        - Show the last n chat transcript lines");
+    console.log("  logs grep <pattern>  - Search the chat transcript (regex)");
+    console.log("  run [script]         - Run a script from the scripts folder (list if no name)");
+    console.log("  stop                 - Stop the running script");
+    console.log("  jobs                 - List scheduled jobs and their next run");
+    console.log("  jobs run <name>      - Run a scheduled job now");
+    console.log("  queue                - Show pending outgoing commands and the rate limit");
+    console.log("  queue clear          - Drop every pending command and chat message");
+    console.log("  record start [file]  - Record every packet to a JSONL file");
+    console.log("  record stop          - Stop recording");
+    console.log("  replay <file> [speed] - Play a recording back without a server (0 = instant)");
+    console.log("  triggers             - List chat triggers");
+    console.log("  triggers enable|disable <name> - Turn a trigger on or off");
+    console.log("  notify [message]     - Send a test notification to the configured sinks");
+    console.log("  help                 - Show this list");
+    console.log("  exit                 - Exit program");
+}
+
+/**
+ * readline completer: REPL commands, account names, and server commands after "exec".
+ */
+function completer(line) {
+    const words = line.split(/\s+/);
+    const last = words[words.length - 1];
+
+    if (words.length === 1) {
+        return [REPL_COMMANDS.filter((c) => c.startsWith(last)), last];
+    }
+
+    const cmd = words[0].toLowerCase();
+
+    if (cmd === "use") {
+        return [accounts.names.filter((n) => n.startsWith(last)), last];
+    }
+
+    if (cmd === "jobs") {
+        const options = words.length === 2 ? ["run"] : accounts.current.scheduler.list().map((j) => j.name);
+        return [options.filter((o) => o.startsWith(last)), last];
+    }
+
+    if (cmd === "scoreboard") {
+        const options = words.length === 2 ? ["stats", "history", "clear"] : [...accounts.current.scoreboard.stats.keys()];
+        return [options.filter((o) => o.startsWith(last)), last];
+    }
+
+    if (cmd === "record" && words.length === 2) {
+        return [["start", "stop"].filter((o) => o.startsWith(last)), last];
+    }
+
+    if (cmd === "replay" && words.length === 2) {
+        return [listRecordings(recordDir).filter((f) => f.startsWith(last)), last];
+    }
+
+    if (cmd === "run" && words.length === 2) {
+        return [listScripts(scriptDir).filter((n) => n.startsWith(last)), last];
+    }
+
+    if (cmd === "triggers") {
+        const options = words.length === 2
+            ? ["enable", "disable"]
+            : accounts.current.triggers.list().map((t) => t.name);
+        return [options.filter((o) => o.startsWith(last)), last];
+    }
+
+    if (cmd === "exec") {
+        let args = words.slice(1);
+        if (args[0]?.startsWith("@")) {
+            if (args.length === 1) {
+                const targets = ["@all", ...accounts.names.map((n) => `@${n}`)];
+                return [targets.filter((t) => t.startsWith(last)), last];
+            }
+            args = args.slice(1);
+        }
+        return [accounts.current.serverCommands.complete(args.join(" ")), last];
+    }
+
+    return [[], last];
+}
+
+function updatePrompt() {
+    rl.setPrompt(multiAccount ? `${accounts.currentName}> ` : "> ");
+}
+
+// Console interface
+const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: "> ",
+    completer,
+});
+attachPrompt(rl);
+updatePrompt();
+
+console.log("=".repeat(60));
+console.log("BEDROCK HEADLESS CLIENT");
+console.log("=".repeat(60));
+printHelp();
+console.log("=".repeat(60));
+console.log(`Accounts: ${accounts.names.join(", ")}`);
+console.log(`Auto-reconnect: ${(config.reconnect?.enabled ?? config.ping.autoReconnect ?? true) ? "enabled" : "disabled"}`);
+console.log(`Ping interval: ${config.ping.intervalMs}ms`);
+console.log(`Ping timeout: ${config.ping.timeoutMs}ms`);
+console.log(`API: ${config.api?.port ? `port ${config.api.port}` : "disabled"}`);
+console.log("=".repeat(60));
+
+setTimeout(() => rl.prompt(), 200);
+
+rl.on("line", (line) => {
+    const input = line.trim();
+
+    if (!input) {
+        rl.prompt();
+        return;
+    }
+
+    const parts = input.split(/\s+/);
+    const cmd = parts[0].toLowerCase();
+    const bot = accounts.current;
+
+    // Exit
+    if (cmd === "exit" || cmd === "quit") {
+        shutdown();
+        return;
+    }
+
+    if (cmd === "help") {
+        printHelp();
+        rl.prompt();
+        return;
+    }
+
+    // Connect
+    if (cmd === "connect") {
+        const connecting = parts[1] === "all" ? accounts.connectAll() : bot.connect();
+        connecting.then(() => rl.prompt());
+        return;
+    }
+
+    // Disconnect
+    if (cmd === "disconnect") {
+        if (parts[1] === "all") {
+            accounts.disconnectAll();
+        } else {
+            bot.disconnect();
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Execute command, optionally on @all or @<account>
+    if (cmd === "exec") {
+        let target = bot;
+        let args = parts.slice(1);
+
+        if (args[0]?.startsWith("@")) {
+            const name = args[0].slice(1);
+            args = args.slice(1);
+            target = name === "all" ? null : accounts.get(name);
+            if (name !== "all" && !target) {
+                logger.warn(`Unknown account: ${name}`);
+                rl.prompt();
+                return;
+            }
+        }
+
+        const command = args.join(" ");
+        if (!command) {
+            logger.warn("Usage: exec [@all|@<account>] <command>");
+        } else if (target) {
+            // Output messages are logged as they arrive, only the timeout needs reporting
+            target.execWithOutput(command, { priority: Priority.USER }).catch((err) => target.logger.warn(err.message));
+        } else {
+            const sent = accounts.execAll(command, { priority: Priority.USER });
+            logger.info(`Sent to ${sent}/${accounts.names.length} accounts`);
+        }
+        rl.prompt();
+        return;
+    }
+
+    // List accounts
+    if (cmd === "accounts") {
+        for (const account of accounts.all()) {
+            const status = account.getStatus();
+            const marker = account === bot ? "*" : " ";
+            logger.info(`${marker} ${status.name} (${status.username}) @ ${status.server}: ${status.state}`);
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Switch account
+    if (cmd === "use") {
+        if (!parts[1]) {
+            logger.warn("Usage: use <account>");
+        } else if (accounts.use(parts[1])) {
+            updatePrompt();
+            logger.info(`Using account ${parts[1]}`);
+        } else {
+            logger.warn(`Unknown account: ${parts[1]}. Available: ${accounts.names.join(", ")}`);
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Status
+    if (cmd === "status") {
+        const status = bot.getStatus();
+        const seconds = Math.round((Date.now() - status.since) / 1000);
+        logger.info(`State: ${status.state} (${seconds}s)`);
+        logger.info(`Account: ${status.name} (${status.username}) @ ${status.server}`);
+        logger.info(`Commands: ${status.commandsAvailable ? "received" : "waiting"}, ` +
+            `Inventory: ${status.inventoryReady ? "received" : "waiting"}, ` +
+            `Players online: ${status.playersOnline}`);
+        if (status.lastDisconnect) {
+            const { reason, category } = status.lastDisconnect;
+            logger.info(`Last disconnect: ${reason}${category ? ` [${category}]` : ""}, ` +
+                `reconnect attempts: ${status.reconnectAttempts}`);
+        }
+        if (status.recording) logger.info(`Recording to ${status.recording}`);
+        if (status.replaying) logger.info(`Replaying ${status.replaying}`);
+        rl.prompt();
+        return;
+    }
+
+    // Latency statistics
+    if (cmd === "latency") {
+        const stats = bot.latency.getStats();
+        const ms = (v) => (v === null ? "-" : `${v}ms`);
+        if (stats.probes === 0) {
+            logger.info("No latency probes yet");
+        } else {
+            logger.info(`RTT: current ${ms(stats.current)}, min ${ms(stats.min)}, max ${ms(stats.max)}, avg ${ms(stats.avg)}`);
+            logger.info(`Jitter: ${ms(stats.jitter)}, Packet loss: ${(stats.loss * 100).toFixed(1)}% of ${stats.probes} probes`);
+            logger.info(`History: ${stats.history.slice(-20).map((v) => (v === null ? "x" : v)).join(" ")}`);
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Online players
+    if (cmd === "players") {
+        const filter = parts.slice(1).join(" ");
+        const list = bot.players.list(filter);
+        logger.info(`${list.length}${filter ? ` matching of ${bot.players.size}` : ""} online`);
+        for (const p of list) {
+            logger.info(`  ${p.name} - ${p.platform}${p.xuid ? `, xuid ${p.xuid}` : ""}`);
+        }
+        rl.prompt();
+        return;
+    }
+
+    // List server commands
+    if (cmd === "commands") {
+        const filter = parts.slice(1).join(" ");
+        if (!bot.serverCommands.loaded) {
+            logger.warn("No command list received yet");
+        } else {
+            const list = bot.serverCommands.list(filter);
+            for (const command of list) {
+                const aliases = command.aliases.length ? ` (${command.aliases.join(", ")})` : "";
+                logger.info(`/${command.name}${aliases} - ${command.description}`);
+                for (const overload of command.overloads) {
+                    logger.info(`    ${bot.serverCommands.formatUsage(command, overload)}`);
+                }
+            }
+            logger.info(`${list.length} command(s)${filter ? ` matching "${filter}"` : ""}`);
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Own inventory, or how many of one item
+    if (cmd === "inv") {
+        const name = parts.slice(1).join(" ");
+        if (!name) {
+            bot.inventory.format().forEach((l) => bot.logger.info(l));
+        } else {
+            const found = bot.inventory.find(name);
+            logger.info(`${name}: ${bot.inventory.count(name)}${found ? ` (first in ${found.window} slot ${found.slot})` : ""}`);
+        }
+        rl.prompt();
+        return;
+    }
+
+    if (cmd === "pos") {
+        bot.player.format().forEach((l) => bot.logger.info(l));
+        rl.prompt();
+        return;
+    }
+
+    if (cmd === "goto") {
+        if ((parts[1] || "").toLowerCase() === "stop") {
+            if (!bot.movement.stop()) logger.warn("Not moving");
+            rl.prompt();
+            return;
+        }
+
+        // "~" and "~5" are relative to the current feet position, like in-game commands
+        const feet = bot.player.position && { ...bot.player.position, y: bot.player.position.y - EYE_HEIGHT };
+        const coords = ["x", "y", "z"].map((axis, i) => {
+            const arg = parts[i + 1] ?? "";
+            if (!arg.startsWith("~")) return Number(arg === "" ? NaN : arg);
+            return feet ? feet[axis] + Number(arg.slice(1) || 0) : NaN;
+        });
+        if (!coords.every(Number.isFinite)) {
+            logger.warn(feet ? "Usage: goto <x> <y> <z> [speed] | goto stop" : "Position unknown");
+            rl.prompt();
+            return;
+        }
+
+        const speed = parts[4] === undefined ? undefined : Number(parts[4]);
+        bot.movement.goto(...coords, { speed })
+            .then(({ ok, reason, position }) => {
+                if (!ok && reason !== "stopped") logger.warn(`goto: ${reason}`);
+                if (position) logger.info(`At ${position.x.toFixed(1)}, ${(position.y - EYE_HEIGHT).toFixed(1)}, ${position.z.toFixed(1)}`);
+            })
+            .finally(() => rl.prompt());
+        rl.prompt();
+        return;
+    }
+
+    if (cmd === "look") {
+        const yaw = Number(parts[1]);
+        const pitch = parts[2] === undefined ? 0 : Number(parts[2]);
+        if (parts[1] === undefined || !Number.isFinite(yaw) || !Number.isFinite(pitch)) {
+            logger.warn("Usage: look <yaw> [pitch]");
+        } else {
+            bot.movement.look(yaw, pitch);
+        }
+        rl.prompt();
+        return;
+    }
+
+    if (cmd === "respawn") {
+        bot.player.respawn();
+        rl.prompt();
+        return;
+    }
+
+    if (cmd === "scoreboard") {
+        const sub = (parts[1] || "").toLowerCase();
+        const { scoreboard } = bot;
+        if (!sub) {
+            scoreboard.format().forEach((l) => bot.logger.info(l));
+        } else if (sub === "stats") {
+            const stats = scoreboard.getStats();
+            if (stats.length === 0) logger.info("No stats extracted yet");
+            for (const s of stats) {
+                const sign = s.change > 0 ? "+" : "";
+                logger.info(`${s.name}: ${s.value} (${sign}${s.change} since ${s.first}, min ${s.min}, max ${s.max}, ${s.samples} samples)`);
+            }
+        } else if (sub === "history" && parts[2]) {
+            const history = scoreboard.history(parts[2]);
+            const count = Number(parts[3]) || 20;
+            if (history.length === 0) logger.info(`No values recorded for ${parts[2]}`);
+            for (const { time, value } of history.slice(-count)) {
+                logger.info(`  ${new Date(time).toLocaleString("sv-SE")} ${value}`);
+            }
+        } else if (sub === "clear") {
+            scoreboard.clearStats();
+            logger.info("Stats history cleared");
+        } else {
+            logger.warn("Usage: scoreboard [stats|history <stat> [n]|clear]");
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Show container, optionally opening one with a command first
+    if (cmd === "gui") {
+        const command = parts.slice(1).join(" ");
+        if (!command) {
+            bot.gui.formatGrid().forEach((l) => bot.logger.info(l));
+            rl.prompt();
+            return;
+        }
+        bot.execAndWaitForGui(command)
+            .then(() => bot.gui.formatGrid().forEach((l) => bot.logger.info(l)))
+            .catch((err) => logger.warn(err.message))
+            .finally(() => rl.prompt());
+        return;
+    }
+
+    // Click container slot
+    if (cmd === "click") {
+        const slot = Number(parts[1]);
+        if (parts[1] === undefined || !Number.isInteger(slot)) {
+            logger.warn("Usage: click <slot>");
+        } else {
+            bot.gui.clickSlot(slot);
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Close container
+    if (cmd === "close") {
+        bot.gui.close();
+        rl.prompt();
+        return;
+    }
+
+    // Forms
+    if (cmd === "form") {
+        const sub = (parts[1] || "").toLowerCase();
+        const rest = parts.slice(2).join(" ");
+        if (!sub) {
+            if (bot.forms.form) {
+                formatForm(bot.forms.form).forEach((l) => bot.logger.info(l));
+            } else {
+                logger.info("No form open");
+            }
+        } else if (sub === "close") {
+            bot.forms.close();
+        } else if (sub === "submit") {
+            bot.forms.submitJson(rest);
+        } else {
+            bot.forms.respondText(parts.slice(1).join(" "));
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Chat transcript
+    if (cmd === "logs") {
+        const sub = (parts[1] || "tail").toLowerCase();
+        let entries = null;
+
+        if (!hasTranscript()) {
+            logger.warn("No transcript configured (logging.transcript.path)");
+        } else if (sub === "tail") {
+            entries = readTranscript({ limit: Number(parts[2]) || 20 });
+        } else if (sub === "grep" && parts[2]) {
+            try {
+                entries = readTranscript({ match: new RegExp(parts.slice(2).join(" "), "i"), limit: 50 });
+            } catch (err) {
+                logger.warn(`Invalid pattern: ${err.message}`);
+            }
+        } else {
+            logger.warn("Usage: logs tail [n] | logs grep <pattern>");
+        }
+
+        if (entries) {
+            if (entries.length === 0) logger.info("No matching lines");
+            for (const e of entries) {
+                // sv-SE formats local time as "YYYY-MM-DD HH:MM:SS"
+                const time = new Date(e.time).toLocaleString("sv-SE");
+                const account = multiAccount && e.account ? `[${e.account}] ` : "";
+                logger.info(`${time} ${account}${e.message}`);
+            }
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Chat triggers
+    if (cmd === "triggers") {
+        const sub = (parts[1] || "").toLowerCase();
+        if (!sub) {
+            const rules = bot.triggers.list();
+            if (rules.length === 0) logger.info("No triggers configured");
+            for (const t of rules) {
+                const cooldown = t.cooldownMs ? `, cooldown ${t.cooldownMs}ms` : "";
+                logger.info(`${t.enabled ? "●" : "○"} ${t.name}: /${t.pattern}/ → ${t.actions.join(", ")} (fired ${t.fired}x${cooldown})`);
+            }
+        } else if ((sub === "enable" || sub === "disable") && parts[2]) {
+            if (bot.triggers.setEnabled(parts[2], sub === "enable")) {
+                logger.info(`Trigger ${parts[2]} ${sub}d`);
+            } else {
+                logger.warn(`Unknown trigger: ${parts[2]}`);
+            }
+        } else {
+            logger.warn("Usage: triggers [enable|disable <name>]");
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Notification sinks
+    if (cmd === "notify") {
+        const message = parts.slice(1).join(" ") || "Test notification";
+        if (bot.notifier.sinks.length === 0) {
+            logger.warn("No notification sinks configured");
+        } else {
+            bot.notifier.notify("test", { title: "Test", message })
+                .then((sent) => {
+                    if (sent) {
+                        logger.info("Notification sent");
+                    } else {
+                        logger.warn("No sink takes test notifications, or they are disabled");
+                    }
+                    rl.prompt();
+                });
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Scripts
+    if (cmd === "run") {
+        if (!parts[1]) {
+            const names = listScripts(scriptDir);
+            logger.info(names.length ? `Scripts: ${names.join(", ")}` : `No scripts in ${scriptDir}`);
+        } else if (bot.scripts.running) {
+            logger.warn(`Script ${bot.scripts.current.name} is already running (stop it first)`);
+        } else {
+            try {
+                // Progress and the result are logged by the runner
+                bot.scripts.run(loadScript(parts[1], scriptDir)).then(() => rl.prompt());
+            } catch (err) {
+                logger.error(err.message);
+            }
+        }
+        rl.prompt();
+        return;
+    }
+
+    if (cmd === "stop") {
+        if (!bot.scripts.stop()) logger.warn("No script running");
+        rl.prompt();
+        return;
+    }
+
+    // Scheduled jobs
+    if (cmd === "jobs") {
+        const sub = (parts[1] || "").toLowerCase();
+        if (!sub) {
+            const jobs = bot.scheduler.list();
+            const time = (t) => (t ? new Date(t).toLocaleString("sv-SE") : "-");
+            if (jobs.length === 0) logger.info("No jobs scheduled");
+            if (jobs.length > 0 && bot.scheduler.paused) logger.info("Paused until the player spawns");
+            for (const j of jobs) {
+                logger.info(`${j.enabled ? "●" : "○"} ${j.name}: ${j.action}, ${j.schedule} | next ${time(j.nextRun)}, last ${time(j.lastRun)} (${j.runs}x)`);
+            }
+        } else if (sub === "run" && parts[2]) {
+            if (!bot.scheduler.trigger(parts[2])) logger.warn(`Unknown job: ${parts[2]}`);
+        } else {
+            logger.warn("Usage: jobs [run <name>]");
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Packet recording
+    if (cmd === "record") {
+        const sub = (parts[1] || "").toLowerCase();
+        if (!sub) {
+            const rec = bot.recorder.getStatus();
+            logger.info(rec.recording ? `Recording to ${rec.file}: ${rec.packets} packets` : "Not recording");
+        } else if (sub === "start") {
+            try {
+                bot.recorder.start(parts[2]);
+            } catch (err) {
+                logger.error(err.message);
+            }
+        } else if (sub === "stop") {
+            if (!bot.recorder.stop()) logger.warn("Not recording");
+        } else {
+            logger.warn("Usage: record [start [file]|stop]");
+        }
+        rl.prompt();
+        return;
+    }
+
+    if (cmd === "replay") {
+        const speed = parts[2] === undefined ? 1 : Number(parts[2]);
+        if (!parts[1] || !(speed >= 0)) {
+            const files = listRecordings(recordDir);
+            logger.warn("Usage: replay <file> [speed]");
+            if (files.length) logger.info(`Recordings: ${files.slice(0, 10).join(", ")}`);
+        } else {
+            try {
+                bot.replay(parts[1], { speed }).then(() => rl.prompt());
+            } catch (err) {
+                logger.error(err.message);
+            }
+        }
+        rl.prompt();
+        return;
+    }
+
+    // Outgoing queue
+    if (cmd === "queue") {
+        const sub = (parts[1] || "").toLowerCase();
+        if (!sub) {
+            const stats = bot.queue.getStats();
+            logger.info(`${stats.sentInWindow}/${stats.maxPerWindow} sent in the last ${stats.windowMs}ms, ${stats.pending} pending${stats.pending && stats.nextSlotMs ? `, next in ${stats.nextSlotMs}ms` : ""}`);
+            for (const e of bot.queue.list()) {
+                logger.info(`  [${e.priority}] ${e.kind === "chat" ? `chat "${e.text}"` : e.text} (${(e.ageMs / 1000).toFixed(1)}s)`);
+            }
+        } else if (sub === "clear") {
+            logger.info(`Dropped ${bot.queue.clear("Cleared by user")} pending`);
+        } else {
+            logger.warn("Usage: queue [clear]");
+        }
+        rl.prompt();
+        return;
+    }
+
+    logger.warn("Unknown command. Type help for the list.");
+    rl.prompt();
+});
+
+// Graceful shutdown
+process.on("SIGINT", () => {
+    console.log(""); // New line after ^C
+    shutdown();
+});
+
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,54 @@
+/**
+ * CONFIG LOADING
+ * Reads config.json and expands it into one config per account.
+ *
+ * Top-level sections (server, ping, gui, forms, ...) are defaults;
+ * each entry in `accounts` may override any of them.
+ */
+
+import fs from "fs";
+
+// Sections that an account entry may partially override
+const MERGED_SECTIONS = ["server", "ping", "reconnect", "gui", "forms", "commands", "respawn", "movement", "notifications", "players"];
+
+export function loadConfig(path = "./config.json") {
+    return JSON.parse(fs.readFileSync(path, "utf8"));
+}
+
+/**
+ * Build the config for every account.
+ * A config without an `accounts` array is treated as a single account
+ * described by the top-level `auth` section.
+ * @returns {Array<object>} per-account configs with name, username, offline, authCache
+ */
+export function resolveAccounts(config) {
+    const entries = Array.isArray(config.accounts) && config.accounts.length > 0
+        ? config.accounts
+        : [{ ...config.auth }];
+
+    const seen = new Set();
+
+    return entries.map((entry, index) => {
+        if (!entry.username) {
+            throw new Error(`Account #${index + 1} has no username`);
+        }
+
+        const name = entry.name || entry.username;
+        if (seen.has(name)) {
+            throw new Error(`Duplicate account name: ${name}`);
+        }
+        seen.add(name);
+
+        const account = { ...config, ...entry, name };
+        delete account.accounts;
+        delete account.auth;
+
+        for (const section of MERGED_SECTIONS) {
+            if (config[section] || entry[section]) {
+                account[section] = { ...config[section], ...entry[section] };
+            }
+        }
+
+        return account;
+    });
+}
@@ -0,0 +1,143 @@
+/**
+ * CRON EXPRESSIONS
+ * Minimal 5-field cron parser: minute hour day-of-month month day-of-week.
+ *
+ * Each field takes *, numbers, ranges (1-5), lists (1,15) and steps (*\/10, 0-30/5).
+ * Months and weekdays also take names (jan, mon). Sunday is 0 or 7.
+ * As in Vixie cron, when both day fields are restricted a day matching either runs.
+ * A day field starting with * (so also *\/2) counts as unrestricted there: both
+ * fields then have to match, e.g. "0 0 *\/2 * mon" is odd-numbered Mondays only.
+ * Times are local time.
+ */
+
+const FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of month", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+    { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+
+const SHORTCUTS = {
+    "@hourly": "0 * * * *",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@weekly": "0 0 * * 0",
+    "@monthly": "0 0 1 * *",
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+};
+
+// Give up searching for a next run after this many years (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(text, field) {
+    const lower = text.toLowerCase();
+    const named = field.names?.indexOf(lower) ?? -1;
+    if (named >= 0) return named + (field.name === "month" ? 1 : 0);
+
+    if (!/^\d+$/.test(text)) {
+        throw new Error(`Invalid ${field.name}: ${text}`);
+    }
+    const value = Number(text);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} out of range (${field.min}-${field.max}): ${value}`);
+    }
+    return value;
+}
+
+/**
+ * @returns {{ values: Set<number>, star: boolean }}
+ */
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(",")) {
+        const [range, stepText] = part.split("/");
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name}: ${part}`);
+        }
+
+        let from, to;
+        if (range === "*") {
+            from = field.min;
+            to = field.max;
+        } else if (range.includes("-")) {
+            const [a, b] = range.split("-");
+            from = parseValue(a, field);
+            to = parseValue(b, field);
+            if (from > to) throw new Error(`Invalid range in ${field.name}: ${range}`);
+        } else {
+            from = parseValue(range, field);
+            // "5/15" means "from 5 every 15"
+            to = stepText === undefined ? from : field.max;
+        }
+
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+
+    // Sunday can be written as 7
+    if (field.name === "day of week" && values.delete(7)) values.add(0);
+
+    return { values, star: text.startsWith("*") };
+}
+
+/**
+ * Parse a cron expression.
+ * @param {string} expression - e.g. "0 9 * * *" or "@daily"
+ * @returns {{ expression: string, matches: (date: Date) => boolean, next: (after?: Date) => Date|null }}
+ * @throws {Error} on a malformed expression
+ */
+export function parseCron(expression) {
+    const source = SHORTCUTS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression needs 5 fields, got ${parts.length}: ${expression}`);
+    }
+
+    const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+
+    const dayMatches = (date) => {
+        const byMonth = dom.values.has(date.getDate());
+        const byWeek = dow.values.has(date.getDay());
+        if (dom.star || dow.star) return byMonth && byWeek;
+        return byMonth || byWeek;
+    };
+
+    const matches = (date) => minute.values.has(date.getMinutes())
+        && hour.values.has(date.getHours())
+        && month.values.has(date.getMonth() + 1)
+        && dayMatches(date);
+
+    /**
+     * First matching minute strictly after `after`.
+     */
+    const next = (after = new Date()) => {
+        const date = new Date(after.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        const limit = after.getFullYear() + MAX_SEARCH_YEARS;
+        while (date.getFullYear() <= limit) {
+            if (!month.values.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!dayMatches(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!hour.values.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!minute.values.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date;
+            }
+        }
+        return null;
+    };
+
+    return { expression, matches, next };
+}
+
+export default parseCron;
@@ -1,409 +1,35 @@
 /**
- * SIMPLE BEDROCK CLIENT
- * Commands: connect, disconnect, exec <command>
+ * BEDROCK HEADLESS CLIENT - library entry point
+ * Import the client from here; the console REPL lives in cli.js.
  */
 
-import fs from "fs";
-import readline from "readline";
-import bedrock from "bedrock-protocol";
-
-// Load config
-const config = JSON.parse(fs.readFileSync("./config.json", "utf8"));
-
-let client = null;
-let connected = false;
-let pingInterval = null;
-let lastPingTime = null;
-let lastPongTime = null;
-let autoReconnectEnabled = false;
-let reconnecting = false;
-let rl = null;
-let lastAutoPingTime = 0; // Track auto ping vs manual ping
-
-// Logger functions
-function getTimestamp() {
-    const now = new Date();
-    const pad = (n) => String(n).padStart(2, '0');
-    return `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
-}
-
-function log(level, message) {
-    if (rl) {
-        // Clear current line and move cursor to start
-        readline.clearLine(process.stdout, 0);
-        readline.cursorTo(process.stdout, 0);
-    }
-    
-    const timestamp = getTimestamp();
-    console.log(`[${timestamp}] [${level}]: ${message}`);
-    
-    if (rl) {
-        // Redraw prompt without newline
-        process.stdout.write('> ');
-    }
-}
-
-function logInfo(message) {
-    log('INFO', message);
-}
-
-function logWarn(message) {
-    log('WARN', message);
-}
-
-function logError(message) {
-    log('ERROR', message);
-}
-
-function logServer(message) {
-    log('SERVER', message);
-}
-
-function logPing(message) {
-    log('PING', message);
-}
-
-// Strip Minecraft color codes
-function stripMinecraftColors(text) {
-    return text.replace(/§[0-9a-zA-Z]/gi, '');
-}
-
-// Ping timeout checker with auto-reconnect
-function startPingMonitor() {
-    if (pingInterval) {
-        clearInterval(pingInterval);
-    }
-
-    // Reset ping times
-    lastPingTime = Date.now();
-    lastPongTime = Date.now();
-
-    pingInterval = setInterval(() => {
-        if (!connected || !client) return;
-
-        const now = Date.now();
-        const timeSinceLastPong = now - lastPongTime;
-
-        // Check if server is not responding
-        if (timeSinceLastPong > config.ping.timeoutMs) {
-            logWarn(`Timeout detected (${timeSinceLastPong}ms since last response)`);
-            
-            if (autoReconnectEnabled && config.ping.autoReconnect) {
-                logInfo("Auto-reconnect triggered");
-                reconnecting = true;
-                disconnect();
-                
-                setTimeout(() => {
-                    logInfo("Attempting to reconnect...");
-                    connect();
-                }, config.ping.reconnectDelayMs || 3000);
-            } else {
-                disconnect();
-            }
-            return;
-        }
-
-        // Send ping command
-        const pingCmd = config.ping.command || "ping";
-        // Silent ping - no log
-        lastAutoPingTime = Date.now(); // Mark as auto ping
-        execCommand(pingCmd, true); // true = silent mode
-        lastPingTime = now;
-
-    }, config.ping.intervalMs);
-}
-
-function stopPingMonitor() {
-    if (pingInterval) {
-        clearInterval(pingInterval);
-        pingInterval = null;
-    }
-}
-
-async function connect() {
-    if (connected) {
-        logWarn("Already connected");
-        return;
-    }
- 
-    try {
-        logInfo(`Connecting to ${config.server.ip}:${config.server.port}...`);
-
-        const options = {
-            host: config.server.ip,
-            port: config.server.port,
-            username: "rexusgeming",
-            offline: false,  // Set to false for Xbox authentication
-            skipPing: true,
-            keepAlive: true,
-        };
-
-        client = bedrock.createClient(options);
-
-        // Connection handlers
-        client.on("spawn", () => {
-            connected = true;
-            lastPingTime = Date.now();
-            lastPongTime = Date.now();
-            
-            if (reconnecting) {
-                logInfo("✓ Reconnected successfully!");
-                reconnecting = false;
-            } else {
-                logInfo("✓ Connected!");
-            }
-            
-            // Enable auto-reconnect after first successful connect
-            autoReconnectEnabled = true;
-            startPingMonitor();
-        });
-
-        client.on("text", (packet) => {
-            if (packet?.message) {
-                const msg = packet.message.toLowerCase();
-                const cleanMsg = stripMinecraftColors(packet.message);
-
-                if (msg.includes("your ping is")) {
-                    const now = Date.now();
-                    if (now - lastAutoPingTime < 2000) {
-                        // This is auto-ping response, skip it
-                        lastPongTime = Date.now();
-                        return;
-                    }
-                    // This is manual ping, show it
-                    logServer(cleanMsg);
-                    lastPongTime = Date.now();
-                    return;
-                }
-                
-                logServer(cleanMsg);
-                
-                // Update last pong time when we receive any text message
-                lastPongTime = Date.now();
-            }
-            
-            // Show all text packet data (for debugging login links)
-            if (packet?.type === "translation" && packet?.parameters) {
-                logInfo(`Translation: ${JSON.stringify(packet.parameters)}`);
-            }
-        });
-        
-        // Handle server settings packet (may contain auth info)
-        client.on("server_settings_response", (packet) => {
-            logInfo(`Server settings: ${JSON.stringify(packet)}`);
-        });
-        
-        // Handle modal form (may contain login link)
-        client.on("modal_form_request", (packet) => {
-            logInfo(`Modal form: ${JSON.stringify(packet)}`);
-        });
-
-        client.on("disconnect", (packet) => {
-            logWarn(`Disconnected: ${packet?.message || "Connection closed"}`);
-            handleDisconnect();
-        });
-
-        client.on("kick", (packet) => {
-            logError(`Kicked: ${packet?.message || "Kicked from server"}`);
-            handleDisconnect();
-        });
-
-        client.on("close", () => {
-            logWarn("Connection closed");
-            handleDisconnect();
-        });
-
-        client.on("error", (err) => {
-            const msg = String(err?.message || err);
-            // Ignore harmless decode errors
-            if (msg.includes('Read error') || msg.includes('Invalid tag')) {
-                return;
-            }
-            logError(msg);
-        });
-
-        // Update pong time on any packet (server is responding)
-        client.on("packet", () => {
-            lastPongTime = Date.now();
-        });
-
-    } catch (error) {
-        logError(`Connection failed: ${error.message}`);
-        connected = false;
-        client = null;
-    }
-}
-
-function handleDisconnect() {
-    if (!connected) return;
-    
-    connected = false;
-    stopPingMonitor();
-    client = null;
-    
-    if (!reconnecting) {
-        logWarn("Disconnected from server");
-        
-        // Trigger auto-reconnect if enabled
-        if (autoReconnectEnabled && config.ping.autoReconnect) {
-            logInfo("Scheduled reconnect...");
-            reconnecting = true;
-            setTimeout(() => {
-                logInfo("Attempting to reconnect...");
-                connect();
-            }, config.ping.reconnectDelayMs || 3000);
-        }
-    }
-}
-
-function disconnect() {
-    if (!connected && !reconnecting) {
-        logWarn("Not connected");
-        return;
-    }
-
-    logInfo("Disconnecting...");
-    
-    // Disable auto-reconnect when user manually disconnects
-    if (!reconnecting) {
-        autoReconnectEnabled = false;
-    }
-    
-    stopPingMonitor();
-    
-    if (client) {
-        try {
-            client.close();
-        } catch (e) {
-            // Ignore close errors
-        }
-        client = null;
-    }
-    
-    connected = false;
-}
-
-function execCommand(command, silent = false) {
-    if (!connected || !client) {
-        if (!silent) logWarn("Not connected");
-        return;
-    }
-
-    const cmd = command.startsWith("/") ? command : `/${command}`;
-    
-    try {
-        client.write("command_request", {
-            command: cmd,
-            origin: {
-                type: "player",
-                uuid: "",
-                request_id: "",
-                player_entity_id: 0,
-            },
-            internal: false,
-            version: "52",
-        });
-        
-        if (!silent) {
-            logInfo(`Sent: ${cmd}`);
-        }
-    } catch (error) {
-        if (!silent) {
-            logError(`Command error: ${error.message}`);
-        }
-    }
-}
-
-// Console interface
-rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-    prompt: "> ",
-});
-
-console.log("=".repeat(60));
-console.log("BEDROCK HEADLESS CLIENT");
-console.log("=".repeat(60));
-console.log("Commands:");
-console.log("  connect              - Connect to server");
-console.log("  disconnect           - Disconnect from server");
-console.log("  exec <command>       - Execute a command");
-console.log("  exit                 - Exit program");
-console.log("=".repeat(60));
-console.log(`Auto-reconnect: ${config.ping.autoReconnect ? 'enabled' : 'disabled'}`);
-console.log(`Ping interval: ${config.ping.intervalMs}ms`);
-console.log(`Ping timeout: ${config.ping.timeoutMs}ms`);
-console.log("=".repeat(60));
-
-setTimeout(() => rl.prompt(), 200);
-
-rl.on("line", (line) => {
-    const input = line.trim();
-
-    if (!input) {
-        rl.prompt();
-        return;
-    }
-
-    const parts = input.split(/\s+/);
-    const cmd = parts[0].toLowerCase();
-
-    // Exit
-    if (cmd === "exit" || cmd === "quit") {
-        logInfo("Shutting down...");
-        disconnect();
-        if (rl) {
-            rl.close();
-        }
-        process.exit(0);
-        return;
-    }
-
-    // Connect
-    if (cmd === "connect") {
-        connect().then(() => rl.prompt());
-        return;
-    }
-
-    // Disconnect
-    if (cmd === "disconnect") {
-        disconnect();
-        rl.prompt();
-        return;
-    }
-
-    // Execute command
-    if (cmd === "exec") {
-        const command = parts.slice(1).join(" ");
-        if (!command) {
-            logWarn("Usage: exec <command>");
-        } else {
-            execCommand(command);
-        }
-        rl.prompt();
-        return;
-    }
-
-    logWarn("Unknown command. Available: connect, disconnect, exec <command>, exit");
-    rl.prompt();
-});
-
-// Graceful shutdown
-process.on("SIGINT", () => {
-    console.log(""); // New line after ^C
-    logInfo("Shutting down...");
-    disconnect();
-    if (rl) {
-        rl.close();
-    }
-    process.exit(0);
-});
-
-process.on("SIGTERM", () => {
-    logInfo("Shutting down...");
-    disconnect();
-    if (rl) {
-        rl.close();
-    }
-    process.exit(0);
-});
+export { BedrockHeadlessClient } from "./BedrockHeadlessClient.js";
+export { AccountManager } from "./AccountManager.js";
+export { ApiServer } from "./ApiServer.js";
+export { loadConfig, resolveAccounts } from "./config.js";
+export { StateMachine, ConnectionState } from "./StateMachine.js";
+export { CommandRegistry, parseAvailableCommands } from "./CommandRegistry.js";
+export { CommandTracker, CommandTimeoutError, parseOutput } from "./CommandTracker.js";
+export { CommandQueue, Priority } from "./CommandQueue.js";
+export { FormHandler, parseForm, formatForm } from "./FormHandler.js";
+export { LatencyMonitor } from "./LatencyMonitor.js";
+export { PlayerList, platformName } from "./PlayerList.js";
+export { PlayerState } from "./PlayerState.js";
+export { Movement, lookAngles } from "./Movement.js";
+export { Metrics, formatMetrics } from "./Metrics.js";
+export { Scheduler, compileJob } from "./Scheduler.js";
+export { Scoreboard, compileExtractor, parseNumber, parseDuration } from "./Scoreboard.js";
+export { parseCron } from "./cron.js";
+export { ScriptRunner, loadScript, listScripts } from "./ScriptRunner.js";
+export { TriggerEngine, compileRule, expandTemplate } from "./TriggerEngine.js";
+export { Notifier, compileSink } from "./Notifier.js";
+export { PacketRecorder, readRecording, listRecordings, packetFilter } from "./PacketRecorder.js";
+export { ReplayClient } from "./ReplayClient.js";
+export { ReconnectPolicy, classifyDisconnect, DisconnectCategory } from "./ReconnectPolicy.js";
+export { GUIHandler } from "./GUIHandler.js";
+export { Inventory } from "./Inventory.js";
+export { ItemRegistry } from "./ItemRegistry.js";
+export { stripMinecraftColors, minecraftToAnsi } from "./text.js";
+export { translate } from "./translate.js";
+export { createLogger, attachPrompt, configureLogging, readTranscript } from "./logger.js";
+export { BedrockHeadlessClient as default } from "./BedrockHeadlessClient.js";
@@ -0,0 +1,219 @@
+/**
+ * LOGGER
+ * Timestamped log lines that play nicely with an active readline prompt,
+ * plus optional JSON-lines log files and a chat transcript (see configureLogging).
+ * § formatting codes become ANSI colors on a terminal and are stripped everywhere else.
+ *
+ * Every helper is a category with a fixed level:
+ *   debug, ping                 → debug
+ *   info, server, state         → info
+ *   warn                        → warn
+ *   error                       → error
+ */
+
+import fs from "fs";
+import readline from "readline";
+import { RotatingFile } from "./RotatingFile.js";
+import { minecraftToAnsi, stripMinecraftColors } from "./text.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, off: Infinity };
+
+const CATEGORY_LEVELS = {
+    debug: "debug",
+    ping: "debug",
+    info: "info",
+    server: "info",
+    state: "info",
+    warn: "warn",
+    error: "error",
+};
+
+let prompt = null;
+
+// Console-only until configureLogging() says otherwise
+let settings = { console: { level: "info", color: "auto" }, levels: {} };
+let logFile = null;
+let transcriptFile = null;
+
+/**
+ * Register the readline interface whose prompt should be redrawn after
+ * every log line. Pass null to stop redrawing.
+ */
+export function attachPrompt(rl) {
+    prompt = rl;
+}
+
+/**
+ * Set up sinks from the `logging` section of config.json.
+ * @param {object} [config]
+ * @param {object} [config.console] - { level, color: "auto" | true | false }
+ * @param {object} [config.file] - { path, level, maxSizeMb, maxFiles, daily }
+ * @param {object} [config.transcript] - { path, maxSizeMb, maxFiles, daily }
+ * @param {object} [config.levels] - category → minimum level, e.g. { ping: "off" }
+ */
+export function configureLogging(config = {}) {
+    logFile?.close();
+    transcriptFile?.close();
+
+    settings = {
+        console: { level: "info", color: "auto", ...config.console },
+        file: config.file?.path ? { level: "debug", ...config.file } : null,
+        levels: { ...config.levels },
+    };
+
+    logFile = settings.file ? new RotatingFile(settings.file.path, settings.file) : null;
+    transcriptFile = config.transcript?.path ? new RotatingFile(config.transcript.path, config.transcript) : null;
+}
+
+/**
+ * Whether a category passes a sink's level, honoring per-category overrides.
+ */
+function enabled(category, sinkLevel) {
+    const minimum = settings.levels[category] ?? sinkLevel;
+    return LEVELS[CATEGORY_LEVELS[category] ?? "info"] >= (LEVELS[minimum] ?? LEVELS.info);
+}
+
+function getTimestamp() {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+}
+
+/**
+ * Whether console lines get ANSI colors: "auto" means only when stdout is a terminal.
+ */
+function useColor() {
+    const { color } = settings.console;
+    return color === "auto" ? Boolean(process.stdout.isTTY) : Boolean(color);
+}
+
+/**
+ * Write to a file sink, dropping the sink if the disk refuses.
+ */
+function append(file, entry, onFail) {
+    try {
+        file.write(JSON.stringify(entry));
+    } catch (error) {
+        file.close();
+        onFail();
+        console.error(`Logging to ${file.file} disabled: ${error.message}`);
+    }
+}
+
+/**
+ * @param {string} level - Category name in capitals, e.g. "INFO", "SERVER"
+ * @param {string} message
+ * @param {object} [meta]
+ * @param {string} [meta.prefix] - Shown on the console line
+ * @param {string} [meta.account] - Recorded in the log file
+ */
+export function log(level, message, { prefix, account } = {}) {
+    const category = level.toLowerCase();
+
+    if (logFile && enabled(category, settings.file.level)) {
+        const entry = {
+            time: new Date().toISOString(),
+            level: CATEGORY_LEVELS[category] ?? "info",
+            category,
+            account,
+            message: stripMinecraftColors(message),
+        };
+        append(logFile, entry, () => { logFile = null; });
+    }
+
+    if (!enabled(category, settings.console.level)) return;
+
+    if (prompt) {
+        // Clear current line and move cursor to start
+        readline.clearLine(process.stdout, 0);
+        readline.cursorTo(process.stdout, 0);
+    }
+
+    const timestamp = getTimestamp();
+    const tag = prefix ? `[${prefix}] ` : '';
+    const text = useColor() ? minecraftToAnsi(message) : stripMinecraftColors(message);
+    console.log(`[${timestamp}] [${level}]: ${tag}${text}`);
+
+    if (prompt) {
+        // Redraw prompt without newline
+        process.stdout.write(prompt.getPrompt());
+    }
+}
+
+/**
+ * Create a logger object with one helper per category.
+ * Clients take one of these so embedders can swap in their own.
+ * @param {object} [options]
+ * @param {string} [options.prefix] - Account name shown on every console line
+ * @param {string} [options.account] - Account name recorded in log files and the transcript
+ */
+export function createLogger(options = {}) {
+    const { prefix } = options;
+    const account = options.account ?? prefix;
+    const write = (level) => (message) => log(level, message, { prefix, account });
+
+    return {
+        debug: write('DEBUG'),
+        info: write('INFO'),
+        warn: write('WARN'),
+        error: write('ERROR'),
+        server: write('SERVER'),
+        ping: write('PING'),
+        state: write('STATE'),
+
+        /**
+         * Record a chat line in the transcript file, if one is configured.
+         * @param {{ message: string, type?: string, source?: string }} entry
+         */
+        transcript({ message, type, source }) {
+            if (!transcriptFile) return;
+            const entry = {
+                time: new Date().toISOString(),
+                account,
+                type,
+                source: source || undefined,
+                message: stripMinecraftColors(message),
+            };
+            append(transcriptFile, entry, () => { transcriptFile = null; });
+        },
+    };
+}
+
+/**
+ * Read transcript entries, oldest first, across rotated files.
+ * @param {object} [options]
+ * @param {RegExp} [options.match] - Only entries whose message, source or account matches
+ * @param {number} [options.limit=20] - Return the last this many
+ * @returns {Array<{ time, account, type, source, message }>}
+ */
+export function readTranscript({ match = null, limit = 20 } = {}) {
+    if (!transcriptFile) return [];
+
+    const results = [];
+    // Newest file first, so stop as soon as enough entries are collected
+    for (const file of transcriptFile.files()) {
+        const entries = fs.readFileSync(file, "utf8")
+            .split("\n")
+            .filter(Boolean)
+            .map((line) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter((e) => e && (!match || match.test(`${e.account ?? ""} ${e.source ?? ""} ${e.message}`)));
+
+        results.unshift(...entries);
+        if (results.length >= limit) break;
+    }
+
+    return results.slice(-limit);
+}
+
+/** Whether a transcript file is configured */
+export function hasTranscript() {
+    return transcriptFile !== null;
+}
+
+export default createLogger;
@@ -0,0 +1,63 @@
+/**
+ * TEXT HELPERS
+ * Minecraft chat formatting utilities.
+ */
+
+const rgb = (r, g, b) => `38;2;${r};${g};${b}`;
+
+// § code → ANSI SGR parameters. Colors reset any active style, like in game.
+const COLOR_CODES = {
+    "0": "30", "1": "34", "2": "32", "3": "36",
+    "4": "31", "5": "35", "6": "33", "7": "37",
+    "8": "90", "9": "94", a: "92", b: "96",
+    c: "91", d: "95", e: "93", f: "97",
+    // Bedrock-only material colors
+    g: rgb(221, 214, 5),    // minecoin gold
+    h: rgb(227, 212, 209),  // quartz
+    i: rgb(206, 202, 202),  // iron
+    j: rgb(68, 58, 59),     // netherite
+    m: rgb(151, 22, 7),     // redstone
+    n: rgb(180, 104, 77),   // copper
+    p: rgb(222, 177, 45),   // gold
+    q: rgb(17, 160, 54),    // emerald
+    s: rgb(44, 186, 168),   // diamond
+    t: rgb(33, 73, 123),    // lapis
+    u: rgb(154, 92, 198),   // amethyst
+    v: rgb(235, 114, 20),   // resin
+};
+
+const STYLE_CODES = {
+    l: "1", // bold
+    o: "3", // italic
+    k: "8", // obfuscated, shown hidden
+};
+
+// Strip Minecraft color codes
+export function stripMinecraftColors(text) {
+    return text.replace(/§[0-9a-zA-Z]/gi, '');
+}
+
+/**
+ * Convert § color and style codes to ANSI escape sequences.
+ * Unknown codes are dropped. The result always ends with a reset if any code was used.
+ */
+export function minecraftToAnsi(text) {
+    let styled = false;
+    const out = text.replace(/§([0-9a-zA-Z])/g, (match, raw) => {
+        const code = raw.toLowerCase();
+        if (code === "r") {
+            styled = false;
+            return "\x1b[0m";
+        }
+        if (COLOR_CODES[code]) {
+            styled = true;
+            return `\x1b[0;${COLOR_CODES[code]}m`;
+        }
+        if (STYLE_CODES[code]) {
+            styled = true;
+            return `\x1b[${STYLE_CODES[code]}m`;
+        }
+        return "";
+    });
+    return styled ? `${out}\x1b[0m` : out;
+}
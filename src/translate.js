@@ -0,0 +1,65 @@
+/**
+ * TRANSLATIONS
+ * Resolves Bedrock translation keys (e.g. "commands.generic.unknown") to
+ * en_US text using the language table shipped with minecraft-data.
+ */
+
+import mcData from "minecraft-data";
+
+// Matches the protocol version bedrock-protocol speaks by default
+const LANGUAGE_VERSION = "bedrock_1.21.130";
+
+let table = null;
+
+function getTable() {
+    if (!table) {
+        table = mcData(LANGUAGE_VERSION)?.language || {};
+    }
+    return table;
+}
+
+/**
+ * Whether a key exists in the language table.
+ */
+export function hasTranslation(key) {
+    return Object.prototype.hasOwnProperty.call(getTable(), String(key).replace(/^%/, ""));
+}
+
+function substitute(template, args) {
+    let next = 0;
+    return template.replace(/%(?:(\d+)\$)?([sd%])/g, (match, position, type) => {
+        if (type === "%") return "%";
+        const value = position ? args[Number(position) - 1] : args[next++];
+        return value ?? "";
+    });
+}
+
+/**
+ * Translate a key and substitute its parameters.
+ * Supports sequential (%s, %d) and positional (%1$s) placeholders.
+ * Parameters that are themselves keys ("%item.diamond.name") are translated too.
+ * Leading § formatting ("§e%multiplayer.player.joined") is kept in front of the result.
+ * Text that isn't a key has any embedded %keys translated; if it has no
+ * placeholders for the parameters they are appended after it.
+ *
+ * @param {string} key - Translation key, with or without a leading "%"
+ * @param {string[]} [params]
+ * @returns {string}
+ */
+export function translate(key, params = []) {
+    const [, formatting, rest] = String(key).match(/^((?:§.)*)([\s\S]*)$/);
+    const template = getTable()[rest.replace(/^%/, "")];
+    const args = params.map((p) => (typeof p === "string" && p.startsWith("%") && hasTranslation(p) ? translate(p) : String(p)));
+
+    if (template !== undefined) {
+        return formatting + substitute(template, args);
+    }
+
+    const text = rest.replace(/%([\w.]+)/g, (match, name) => (hasTranslation(name) ? getTable()[name] : match));
+    if (args.length && /%(\d+\$)?[sd]/.test(text)) {
+        return formatting + substitute(text, args);
+    }
+    return formatting + (args.length ? `${text} ${args.join(", ")}` : text);
+}
+
+export default translate;
@@ -0,0 +1,53 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { connectReady, shutdown } from "./helpers/client.js";
+import { ApiServer } from "../src/ApiServer.js";
+
+const TOKEN = "secret";
+
+let server, bot, player, api, base;
+
+beforeEach(async () => {
+    ({ server, bot, player } = await connectReady());
+
+    // Just enough of AccountManager for one account
+    const accounts = { current: bot, currentName: bot.name, all: () => [bot], get: (name) => (name === bot.name ? bot : null) };
+    api = new ApiServer(accounts, { port: 0, token: TOKEN });
+    base = `http://127.0.0.1:${await api.start()}`;
+});
+
+afterEach(async () => {
+    api.stop();
+    await shutdown({ server, bot });
+});
+
+function post(path, body) {
+    return fetch(`${base}${path}`, {
+        method: "POST",
+        headers: { authorization: `Bearer ${TOKEN}`, "content-type": "application/json" },
+        body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+}
+
+test("exec answers with the command output", async () => {
+    player.waitFor("command_request").then((request) => player.commandOutput(request, { messages: ["Balance: $5"] }));
+
+    const response = await post("/exec", { command: "bal" });
+    assert.equal(response.status, 200);
+    const output = await response.json();
+    assert.equal(output.success, true);
+    assert.deepEqual(output.messages.map((m) => m.text), ["Balance: $5"]);
+});
+
+test("a command the server never answers is a 504", async () => {
+    const response = await post("/exec", { command: "bal", timeoutMs: 200 });
+    assert.equal(response.status, 504);
+    assert.match((await response.json()).error, /No command_output/);
+});
+
+test("an oversized body gets a 413 response, not a reset connection", async () => {
+    const response = await post("/exec", { command: "x".repeat(100 * 1024) });
+    assert.equal(response.status, 413);
+    assert.equal(response.headers.get("connection"), "close");
+    assert.deepEqual(await response.json(), { error: "Request body too large" });
+});
@@ -0,0 +1,120 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { connectReady, nextEvent, shutdown } from "./helpers/client.js";
+
+const BAL_COMMAND = {
+    name: "bal",
+    description: "Show your balance",
+    flags: 0,
+    permission_level: "any",
+    alias: -1,
+    chained_subcommand_offsets: [],
+    overloads: [],
+};
+
+let server, bot, player;
+
+afterEach(async () => {
+    await shutdown({ server, bot });
+    server = bot = player = null;
+});
+
+test("exec sends command_request and resolves with the matching command_output", async () => {
+    ({ server, bot, player } = await connectReady());
+
+    const request = player.waitFor("command_request");
+    const result = bot.execWithOutput("bal");
+
+    const sent = await request;
+    assert.equal(sent.command, "/bal");
+    player.commandOutput(sent, { messages: ["Balance: $1,000"] });
+
+    const output = await result;
+    assert.equal(output.success, true);
+    assert.equal(output.command, "/bal");
+    assert.deepEqual(output.messages.map((m) => m.text), ["Balance: $1,000"]);
+});
+
+test("failed command output is reported as unsuccessful", async () => {
+    ({ server, bot, player } = await connectReady());
+
+    const request = player.waitFor("command_request");
+    const result = bot.execWithOutput("tpa Nobody");
+    player.commandOutput(await request, { success: false, messages: ["commands.generic.noTargetMatch"] });
+
+    const output = await result;
+    assert.equal(output.success, false);
+    assert.equal(output.messages[0].key, "commands.generic.noTargetMatch");
+});
+
+test("exec rejects when the server never answers", async () => {
+    ({ server, bot, player } = await connectReady({ commands: { outputTimeoutMs: 300 } }));
+
+    await assert.rejects(bot.execWithOutput("bal"), /No command_output for \/bal within 300ms/);
+});
+
+test("commands the server does not advertise are blocked", async () => {
+    ({ server, bot, player } = await connectReady({ commands: { blockUnknown: true } }, { commands: [BAL_COMMAND] }));
+
+    assert.equal(bot.serverCommands.has("bal"), true);
+    await assert.rejects(bot.execWithOutput("bla"), /does not advertise \/bla \(did you mean \/bal\?\)/);
+    assert.equal(player.received.some((p) => p.name === "command_request"), false);
+});
+
+test("incoming chat is emitted with colors stripped", async () => {
+    ({ server, bot, player } = await connectReady());
+
+    const chat = nextEvent(bot, "chat");
+    player.chat("§ahello §lthere", { source: "Steve" });
+
+    const { message, formatted, source, type } = await chat;
+    assert.equal(message, "hello there");
+    assert.equal(formatted, "§ahello §lthere");
+    assert.equal(source, "Steve");
+    assert.equal(type, "chat");
+
+    const system = nextEvent(bot, "chat");
+    player.chat("§cServer restarting soon");
+    assert.equal((await system).message, "Server restarting soon");
+});
+
+test("chat() sends a text packet", async () => {
+    ({ server, bot, player } = await connectReady());
+
+    const received = player.waitFor("text");
+    assert.equal(bot.chat("hi all"), true);
+    assert.equal((await received).message, "hi all");
+});
+
+test("outgoing commands are rate limited", async () => {
+    ({ server, bot, player } = await connectReady({ queue: { maxPerWindow: 2, windowMs: 500 } }));
+
+    const times = [];
+    player.on("packet", ({ name }) => {
+        if (name === "command_request") times.push(Date.now());
+    });
+
+    const start = Date.now();
+    for (const cmd of ["a", "b", "c"]) bot.exec(cmd);
+    await player.waitFor("command_request", { test: (p) => p.command === "/c" });
+
+    assert.equal(times.length, 3);
+    assert.ok(times[1] - start < 250, "first two go out at once");
+    assert.ok(times[2] - start >= 450, "third waits for the window");
+});
+
+test("a full queue refuses commands and chat instead of dropping them silently", async () => {
+    ({ server, bot, player } = await connectReady({ queue: { maxPerWindow: 1, windowMs: 60000, maxSize: 2 } }));
+
+    assert.equal(bot.exec("a"), true);  // sent, uses up the window
+    assert.equal(bot.exec("b"), true);
+    assert.equal(bot.exec("c"), true);
+    assert.equal(bot.queue.pending.length, 2);
+
+    assert.equal(bot.exec("d"), false);
+    assert.equal(bot.chat("hello"), false);
+    await assert.rejects(bot.execWithOutput("e"), /Queue full \(2 pending\), dropped: \/e/);
+    // An identical pending entry is shared, so it still fits
+    assert.equal(bot.exec("b"), true);
+    assert.deepEqual(bot.queue.list().map((e) => e.text), ["/b", "/c"]);
+});
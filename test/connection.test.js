@@ -0,0 +1,123 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { MockServer } from "./helpers/MockServer.js";
+import { createTestClient, nextEvent, waitForState } from "./helpers/client.js";
+import { ConnectionState } from "../src/StateMachine.js";
+
+let server, bot;
+
+beforeEach(async () => {
+    server = new MockServer();
+    await server.start();
+});
+
+afterEach(async () => {
+    bot?.disconnect();
+    bot = null;
+    await server.stop();
+});
+
+test("connects, spawns and becomes ready", async () => {
+    bot = createTestClient(server.port);
+    const states = [];
+    bot.on("stateChange", ({ to }) => states.push(to));
+
+    const spawned = nextEvent(bot, "spawn");
+    const player = server.nextPlayer();
+    bot.connect();
+
+    await spawned;
+    await waitForState(bot, ConnectionState.READY);
+    assert.equal((await player).name, "tester");
+    assert.deepEqual(states, [
+        ConnectionState.CONNECTING,
+        ConnectionState.AUTHENTICATING,
+        ConnectionState.RESOURCE_PACKS,
+        ConnectionState.SPAWNING,
+        ConnectionState.WAITING_COMMANDS,
+        ConnectionState.READY,
+    ]);
+    assert.equal(bot.items.getName(2), "minecraft:diamond");
+});
+
+test("reconnects after a kick", async () => {
+    bot = createTestClient(server.port);
+    bot.connect();
+    const player = await server.nextPlayer();
+    await waitForState(bot, ConnectionState.READY);
+
+    const kicked = nextEvent(bot, "kick");
+    const reconnecting = nextEvent(bot, "reconnecting");
+    const rejoined = server.nextPlayer();
+    player.kick("You were kicked by an operator");
+
+    assert.equal((await kicked).reason, "You were kicked by an operator");
+    const { attempt, category } = await reconnecting;
+    assert.equal(attempt, 1);
+    assert.equal(category, "kicked");
+
+    await rejoined;
+    await nextEvent(bot, "reconnect");
+    assert.equal(bot.lastDisconnect.category, "kicked");
+});
+
+test("does not reconnect after a ban", async () => {
+    bot = createTestClient(server.port);
+    bot.connect();
+    const player = await server.nextPlayer();
+    await waitForState(bot, ConnectionState.READY);
+
+    const failed = nextEvent(bot, "reconnectFailed");
+    player.kick("You are banned from this server");
+
+    assert.equal((await failed).category, "banned");
+    assert.equal(bot.state.state, ConnectionState.DISCONNECTED);
+});
+
+test("detects a silent server with the ping timeout and reconnects", async () => {
+    bot = createTestClient(server.port, { ping: { intervalMs: 100, timeoutMs: 600 } });
+    bot.connect();
+    const player = await server.nextPlayer();
+    await waitForState(bot, ConnectionState.READY);
+
+    const rejoined = server.nextPlayer();
+    const reconnecting = nextEvent(bot, "reconnecting");
+    player.silent = true;
+
+    assert.equal((await reconnecting).category, "timeout");
+    assert.match(bot.lastDisconnect.reason, /^Timeout/);
+    await rejoined;
+    await nextEvent(bot, "reconnect");
+});
+
+test("measures latency from answered probes", async () => {
+    bot = createTestClient(server.port);
+    bot.connect();
+    await server.nextPlayer();
+
+    const { rtt, method } = await nextEvent(bot, "latency");
+    assert.equal(method, "network_stack_latency");
+    assert.ok(rtt >= 0);
+});
+
+test("manual disconnect does not reconnect", async () => {
+    bot = createTestClient(server.port);
+    bot.connect();
+    const player = await server.nextPlayer();
+    await waitForState(bot, ConnectionState.READY);
+
+    const closed = new Promise((resolve) => player.once("close", resolve));
+    bot.disconnect();
+    await closed;
+
+    assert.equal(bot.state.state, ConnectionState.DISCONNECTED);
+    assert.equal(bot.reconnectTimer, null);
+});
+
+test("a failed connect without an error listener ends in ERROR instead of throwing", async () => {
+    bot = createTestClient(server.port, { server: { port: "not a port" } });
+    await bot.connect();
+
+    assert.equal(bot.state.state, ConnectionState.ERROR);
+    assert.equal(bot.client, null);
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCron } from "../src/cron.js";
+
+/**
+ * Local time, months 1-based. 2026-01-05 is a Monday.
+ */
+function at(year, month, day, hour = 0, minute = 0) {
+    return new Date(year, month - 1, day, hour, minute);
+}
+
+/**
+ * The next `count` runs of an expression after `from`.
+ */
+function runs(expression, from, count = 1) {
+    const cron = parseCron(expression);
+    const result = [];
+    for (let date = from; result.length < count;) {
+        date = cron.next(date);
+        result.push(date);
+    }
+    return result;
+}
+
+test("the next run is the first matching minute strictly after the given time", () => {
+    assert.deepEqual(runs("*/15 * * * *", at(2026, 1, 5, 10, 7), 3), [at(2026, 1, 5, 10, 15), at(2026, 1, 5, 10, 30), at(2026, 1, 5, 10, 45)]);
+    assert.deepEqual(runs("0 9 * * *", at(2026, 1, 5, 9, 0)), [at(2026, 1, 6, 9, 0)]);
+    assert.deepEqual(runs("@hourly", at(2026, 12, 31, 23, 30)), [at(2027, 1, 1, 0, 0)]);
+});
+
+test("ranges, lists and steps", () => {
+    assert.deepEqual(runs("0-30/10 9 * * *", at(2026, 1, 5, 9, 5), 4), [
+        at(2026, 1, 5, 9, 10), at(2026, 1, 5, 9, 20), at(2026, 1, 5, 9, 30), at(2026, 1, 6, 9, 0),
+    ]);
+    assert.deepEqual(runs("0 8,17 * * *", at(2026, 1, 5, 12, 0), 2), [at(2026, 1, 5, 17, 0), at(2026, 1, 6, 8, 0)]);
+
+    // "5/15" runs from minute 5 every 15
+    const cron = parseCron("5/15 * * * *");
+    const minutes = Array.from({ length: 60 }, (_, m) => m).filter((m) => cron.matches(at(2026, 1, 5, 0, m)));
+    assert.deepEqual(minutes, [5, 20, 35, 50]);
+});
+
+test("month and weekday names, and Sunday as 7", () => {
+    assert.deepEqual(runs("30 8 * * mon-fri", at(2026, 1, 9, 9, 0)), [at(2026, 1, 12, 8, 30)]);
+    assert.deepEqual(runs("0 0 1 jan *", at(2026, 3, 1)), [at(2027, 1, 1)]);
+    assert.deepEqual(runs("0 12 * * 7", at(2026, 1, 5)), [at(2026, 1, 11, 12, 0)]);
+    assert.deepEqual(runs("0 12 * * SUN", at(2026, 1, 5)), [at(2026, 1, 11, 12, 0)]);
+});
+
+test("with both day fields restricted a day matching either runs", () => {
+    // Fridays and the 13th
+    assert.deepEqual(runs("0 0 13 * fri", at(2026, 1, 1), 4), [at(2026, 1, 2), at(2026, 1, 9), at(2026, 1, 13), at(2026, 1, 16)]);
+});
+
+test("a day field starting with * does not count as restricted", () => {
+    assert.deepEqual(runs("0 0 */2 * *", at(2026, 1, 1), 2), [at(2026, 1, 3), at(2026, 1, 5)]);
+    // Odd days that are also Mondays, not odd days or Mondays
+    assert.deepEqual(runs("0 0 */2 * mon", at(2026, 1, 1), 2), [at(2026, 1, 5), at(2026, 1, 19)]);
+    assert.deepEqual(runs("0 0 1 * */2", at(2026, 1, 1)), [at(2026, 2, 1)]);
+});
+
+test("a date that never comes has no next run", () => {
+    assert.equal(parseCron("0 0 31 2 *").next(at(2026, 1, 1)), null);
+});
+
+test("malformed expressions are rejected", () => {
+    assert.throws(() => parseCron("* * *"), /needs 5 fields, got 3/);
+    assert.throws(() => parseCron("60 * * * *"), /minute out of range \(0-59\): 60/);
+    assert.throws(() => parseCron("0 0 * foo *"), /Invalid month: foo/);
+    assert.throws(() => parseCron("*/0 * * * *"), /Invalid step in minute/);
+    assert.throws(() => parseCron("0 0 20-10 * *"), /Invalid range in day of month/);
+});
@@ -0,0 +1,98 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { item } from "./helpers/MockServer.js";
+import { connectReady, nextEvent, shutdown } from "./helpers/client.js";
+
+const WINDOW_ID = 7;
+
+let server, bot, player;
+
+beforeEach(async () => {
+    ({ server, bot, player } = await connectReady());
+});
+
+afterEach(() => shutdown({ server, bot }));
+
+/**
+ * Answer the next /tpa with a chest menu, like DonutSMP does.
+ */
+async function serveTpaMenu() {
+    await player.waitFor("command_request", { test: (p) => p.command === "/tpa" });
+    player.openContainer(WINDOW_ID, [
+        item(0),
+        item(1, { name: "§aTeleport" }),
+        item(3, { name: "§cCancel" }),
+        item(2, { count: 5 }),
+    ]);
+}
+
+test("a command that opens a chest GUI resolves with its contents", async () => {
+    const serving = serveTpaMenu();
+    const content = nextEvent(bot, "guiContent");
+    const container = await bot.execAndWaitForGui("tpa", 2000);
+    await serving;
+    await content;
+
+    assert.equal(container.windowId, WINDOW_ID);
+    assert.deepEqual(bot.gui.getSlots().map((s) => s.item?.name ?? null), [null, "§aTeleport", "§cCancel", "diamond"]);
+    assert.equal(bot.gui.getSlots()[3].item.count, 5);
+});
+
+test("clicking a slot sends an inventory transaction for that slot", async () => {
+    const serving = serveTpaMenu();
+    const content = nextEvent(bot, "guiContent");
+    await bot.execAndWaitForGui("tpa", 2000);
+    await serving;
+    await content;
+
+    const transaction = player.waitFor("inventory_transaction");
+    assert.equal(bot.gui.clickSlot(1), true);
+
+    const [action] = (await transaction).transaction.actions;
+    assert.equal(action.slot, 1);
+    assert.equal(action.inventory_id, WINDOW_ID);
+    assert.equal(action.old_item.network_id, 1);
+});
+
+test("a server-side close is reported", async () => {
+    const serving = serveTpaMenu();
+    await bot.execAndWaitForGui("tpa", 2000);
+    await serving;
+
+    const closed = nextEvent(bot, "guiClose");
+    player.closeContainer(WINDOW_ID);
+
+    assert.deepEqual(await closed, { windowId: WINDOW_ID, byServer: true });
+    assert.equal(bot.gui.container, null);
+});
+
+test("waiting for a GUI that never opens times out", async () => {
+    await assert.rejects(bot.execAndWaitForGui("tpa", 300), /GUI timeout/);
+});
+
+test("a modal form is parsed and answered", async () => {
+    const opened = nextEvent(bot, "formOpen");
+    player.form(3, { type: "modal", title: "§6Confirm", content: "Teleport to Steve?", button1: "Accept", button2: "Deny" });
+
+    const form = await opened;
+    assert.equal(form.type, "modal");
+    assert.equal(form.title, "Confirm");
+    assert.equal(form.button1, "Accept");
+
+    const response = player.waitFor("modal_form_response");
+    assert.equal(bot.forms.respondText("accept"), true);
+
+    const sent = await response;
+    assert.equal(sent.form_id, 3);
+    assert.equal(JSON.parse(sent.data), true);
+});
+
+test("a simple form button can be picked by its text", async () => {
+    const opened = nextEvent(bot, "formOpen");
+    player.form(4, { type: "form", title: "Menu", content: "", buttons: [{ text: "§aShop" }, { text: "Warps" }] });
+    await opened;
+
+    const response = player.waitFor("modal_form_response");
+    assert.equal(bot.forms.respondText("warps"), true);
+    assert.equal(JSON.parse((await response).data), 1);
+});
@@ -0,0 +1,564 @@
+/**
+ * MOCK SERVER
+ * Offline-mode Bedrock server on 127.0.0.1 for the integration tests, built on
+ * bedrock-protocol's Server. Tests script what it sends through MockPlayer.
+ *
+ * By default every player is spawned right after login (resource packs,
+ * player_spawn, available_commands, inventory) and latency probes are answered,
+ * so the client reaches READY and stays connected until the test says otherwise.
+ */
+
+import dgram from "dgram";
+import { EventEmitter } from "events";
+import bedrock from "bedrock-protocol";
+
+const DEFAULT_WAIT_MS = 5000;
+const SETTLE_MS = 300;
+
+// Items the mock server knows about, sent in item_registry
+export const ITEMS = [
+    { name: "minecraft:ender_pearl", runtime_id: 1 },
+    { name: "minecraft:diamond", runtime_id: 2 },
+    { name: "minecraft:barrier", runtime_id: 3 },
+];
+
+const EMPTY_NBT = { type: "compound", name: "", value: {} };
+
+const EMPTY_IMAGE = { width: 0, height: 0, data: Buffer.alloc(0) };
+const EMPTY_SKIN = {
+    skin_id: "",
+    play_fab_id: "",
+    skin_resource_pack: "",
+    skin_data: EMPTY_IMAGE,
+    animations: [],
+    cape_data: EMPTY_IMAGE,
+    geometry_data: "",
+    geometry_data_version: "",
+    animation_data: "",
+    cape_id: "",
+    full_skin_id: "",
+    arm_size: "wide",
+    skin_color: "",
+    personal_pieces: [],
+    piece_tint_colors: [],
+    premium: false,
+    persona: false,
+    cape_on_classic: false,
+    primary_user: false,
+    overriding_player_appearance: false,
+};
+
+/**
+ * Ask the OS for a free UDP port on the loopback interface.
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket("udp4");
+        socket.once("error", reject);
+        socket.bind(0, "127.0.0.1", () => {
+            const { port } = socket.address();
+            socket.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Resolve with the first event for which `test` passes, reject after timeoutMs.
+ */
+export function waitForEvent(emitter, event, { test = () => true, timeoutMs = DEFAULT_WAIT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            emitter.off(event, handler);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, timeoutMs);
+        const handler = (value) => {
+            if (!test(value)) return;
+            clearTimeout(timer);
+            emitter.off(event, handler);
+            resolve(value);
+        };
+        emitter.on(event, handler);
+    });
+}
+
+/**
+ * Build a protocol Item.
+ * @param {number} networkId - One of ITEMS' runtime_id, 0 = empty slot
+ * @param {object} [options]
+ * @param {number} [options.count=1]
+ * @param {string} [options.name] - Custom display name, as server menus use
+ */
+export function item(networkId, { count = 1, name } = {}) {
+    if (!networkId) return { network_id: 0 };
+
+    const nbt = name
+        ? {
+            version: 1,
+            nbt: {
+                type: "compound",
+                name: "",
+                value: { display: { type: "compound", value: { Name: { type: "string", value: name } } } },
+            },
+        }
+        : undefined;
+
+    return {
+        network_id: networkId,
+        count,
+        metadata: 0,
+        has_stack_id: 0,
+        block_runtime_id: 0,
+        extra: { has_nbt: Boolean(name), nbt, can_place_on: [], can_destroy: [] },
+    };
+}
+
+/**
+ * One connected client, seen from the server.
+ */
+export class MockPlayer extends EventEmitter {
+    constructor(connection, server) {
+        super();
+        this.connection = connection;
+        this.server = server;
+        this.silent = false;     // Stop sending anything, like a hung server
+        this.closed = false;
+        this.received = [];      // { name, params } from the client
+
+        connection.on("packet", (des) => {
+            const { name, params } = des.data;
+            this.received.push({ name, params });
+            this.emit("packet", { name, params });
+
+            if (name === "network_stack_latency" && params.needs_response && server.options.answerPings) {
+                this.send("network_stack_latency", { timestamp: params.timestamp, needs_response: 0 });
+            }
+        });
+
+        // A packet the server can't parse would otherwise throw
+        connection.on("error", (error) => this.emit("serverError", error));
+        connection.on("close", () => {
+            this.closed = true;
+            this.emit("close");
+        });
+    }
+
+    get name() {
+        return this.connection.profile?.name;
+    }
+
+    /**
+     * Write a packet unless the player has gone silent.
+     */
+    send(name, params) {
+        if (this.silent || this.closed) return;
+        this.connection.write(name, params);
+    }
+
+    /**
+     * Next packet from the client with this name (and passing `test`).
+     * @returns {Promise<object>} the packet params
+     */
+    async waitFor(name, { test = () => true, timeoutMs } = {}) {
+        const packet = await waitForEvent(this, "packet", {
+            test: (p) => p.name === name && test(p.params),
+            timeoutMs,
+        });
+        return packet.params;
+    }
+
+    /**
+     * Run the resource pack handshake and spawn the player.
+     * @param {object} [options]
+     * @param {Array<object>} [options.commands] - command_data entries for available_commands
+     */
+    async spawn({ commands = [] } = {}) {
+        const packsDone = this.waitFor("resource_pack_client_response");
+        this.send("resource_packs_info", {
+            must_accept: false,
+            has_addons: false,
+            has_scripts: false,
+            disable_vibrant_visuals: false,
+            world_template: { uuid: "00000000-0000-0000-0000-000000000000", version: "" },
+            texture_packs: [],
+        });
+        await packsDone;
+
+        const stackDone = this.waitFor("resource_pack_client_response");
+        this.send("resource_pack_stack", {
+            must_accept: false,
+            resource_packs: [],
+            game_version: "*",
+            experiments: [],
+            experiments_previously_used: false,
+            has_editor_packs: false,
+        });
+        await stackDone;
+
+        this.send("item_registry", {
+            itemstates: ITEMS.map((i) => ({ ...i, component_based: false, version: "legacy", nbt: EMPTY_NBT })),
+        });
+        this.send("play_status", { status: "player_spawn" });
+        this.send("available_commands", {
+            values_len: 0,
+            enum_values: [],
+            chained_subcommand_values: [],
+            suffixes: [],
+            enums: [],
+            chained_subcommands: [],
+            command_data: commands,
+            dynamic_enums: [],
+            enum_constraints: [],
+        });
+        this.send("inventory_content", {
+            window_id: "inventory",
+            input: [],
+            container: { container_id: "anvil_input" },
+            storage_item: { network_id: 0 },
+        });
+    }
+
+    /**
+     * Send a chat line.
+     * @param {string} message
+     * @param {object} [options]
+     * @param {string} [options.source] - Sender name, empty for system messages
+     * @param {boolean} [options.whisper=false] - Send as a whisper from `source`
+     */
+    chat(message, { source = "", whisper = false } = {}) {
+        // 1.21.130 repeats the type names of each category as literal strings
+        const category = source
+            ? { category: "authored", chat: "chat", whisper: "whisper", announcement: "announcement" }
+            : {
+                category: "message_only",
+                raw: "raw",
+                tip: "tip",
+                system_message: "systemMessage",
+                text_object_whisper: "textObjectWhisper",
+                text_object_announcement: "textObjectAnnouncement",
+                text_object: "textObject",
+            };
+
+        this.send("text", {
+            needs_translation: false,
+            ...category,
+            type: source ? (whisper ? "whisper" : "chat") : "raw",
+            source_name: source,
+            message,
+            xuid: "",
+            platform_chat_id: "",
+            has_filtered_message: false,
+        });
+    }
+
+    /**
+     * Answer a command_request.
+     * @param {object} request - The command_request params
+     * @param {object} [options]
+     * @param {boolean} [options.success=true]
+     * @param {Array<string>} [options.messages] - Output lines (message IDs or plain text)
+     */
+    commandOutput(request, { success = true, messages = [] } = {}) {
+        this.send("command_output", {
+            origin: request.origin,
+            output_type: "all",
+            success_count: success ? 1 : 0,
+            output: messages.map((message_id) => ({ message_id, success, parameters: [] })),
+            has_data: false,
+        });
+    }
+
+    /**
+     * Open a chest window and fill it.
+     * @param {number} windowId
+     * @param {Array<object>} slots - Items from item()
+     */
+    openContainer(windowId, slots) {
+        this.send("container_open", {
+            window_id: windowId,
+            window_type: "container",
+            coordinates: { x: 0, y: 64, z: 0 },
+            runtime_entity_id: -1n,
+        });
+        this.send("inventory_content", {
+            window_id: windowId,
+            input: slots,
+            container: { container_id: "container" },
+            storage_item: { network_id: 0 },
+        });
+    }
+
+    /**
+     * Replace the contents of one of the player's own windows.
+     * @param {"inventory" | "armor" | "offhand"} window
+     * @param {Array<object>} slots - Items from item()
+     */
+    inventory(window, slots) {
+        this.send("inventory_content", {
+            window_id: window,
+            input: slots,
+            container: { container_id: window === "armor" ? "armor" : "hotbar_and_inventory" },
+            storage_item: { network_id: 0 },
+        });
+    }
+
+    /**
+     * Update a single slot of one of the player's own windows.
+     */
+    inventorySlot(window, slot, slotItem) {
+        this.send("inventory_slot", {
+            window_id: window,
+            slot,
+            container: { container_id: window === "armor" ? "armor" : "hotbar_and_inventory" },
+            storage_item: { network_id: 0 },
+            item: slotItem,
+        });
+    }
+
+    closeContainer(windowId) {
+        this.send("container_close", { window_id: windowId, window_type: "container", server: true });
+    }
+
+    /**
+     * Show a form.
+     * @param {number} formId
+     * @param {object} form - Form JSON ({ type: "modal" | "form" | "custom_form", ... })
+     */
+    form(formId, form) {
+        this.send("modal_form_request", { form_id: formId, data: JSON.stringify(form) });
+    }
+
+    /**
+     * Add players to, or remove them from, the client's player list.
+     * @param {"add" | "remove"} type
+     * @param {Array<{ uuid: string, name?: string, xuid?: string, platform?: number }>} players
+     */
+    playerList(type, players) {
+        const records = type === "add"
+            ? players.map(({ uuid, name, xuid = "", platform = 7 }) => ({
+                uuid,
+                entity_unique_id: 0n,
+                username: name,
+                xbox_user_id: xuid,
+                platform_chat_id: "",
+                build_platform: platform,
+                skin_data: EMPTY_SKIN,
+                is_teacher: false,
+                is_host: false,
+                is_subclient: false,
+                player_color: 0,
+            }))
+            : players.map(({ uuid }) => ({ uuid }));
+
+        this.send("player_list", {
+            records: {
+                type,
+                records_count: records.length,
+                records,
+                verified: type === "add" ? records.map(() => true) : undefined,
+            },
+        });
+    }
+
+    /**
+     * Show a sidebar objective whose lines are fake players, like server HUDs.
+     * @param {string} objective
+     * @param {string} displayName
+     * @param {Array<string>} lines - Top to bottom
+     */
+    sidebar(objective, displayName, lines) {
+        this.send("set_display_objective", {
+            display_slot: "sidebar",
+            objective_name: objective,
+            display_name: displayName,
+            criteria_name: "dummy",
+            sort_order: 0,
+        });
+        this.send("set_score", {
+            action: "change",
+            entries: lines.map((custom_name, index) => ({
+                scoreboard_id: BigInt(index + 1),
+                objective_name: objective,
+                score: index,
+                entry_type: "fake_player",
+                custom_name,
+            })),
+        });
+    }
+
+    /**
+     * Show a title, subtitle or action bar text.
+     * @param {string} type - set_title type ("set_title", "action_bar_message", ...)
+     */
+    title(type, text) {
+        this.send("set_title", {
+            type,
+            text,
+            fade_in_time: 10,
+            stay_time: 70,
+            fade_out_time: 20,
+            xuid: "",
+            platform_online_id: "",
+            filtered_message: "",
+        });
+    }
+
+    bossBar(id, title, progress = 1) {
+        this.send("boss_event", {
+            boss_entity_id: BigInt(id),
+            type: "show_bar",
+            title,
+            filtered_title: "",
+            progress,
+            screen_darkening: 0,
+            color: 0,
+            overlay: 0,
+        });
+    }
+
+    /**
+     * Teleport the player. `position` is at eye height, as the protocol has it.
+     */
+    moveTo(position, { runtimeId = 1, yaw = 0, pitch = 0 } = {}) {
+        this.send("move_player", {
+            runtime_id: runtimeId,
+            position,
+            pitch,
+            yaw,
+            head_yaw: yaw,
+            mode: "teleport",
+            on_ground: true,
+            ridden_runtime_id: 0,
+            teleport: { cause: "command", source_entity_type: 0 },
+            tick: 0n,
+        });
+    }
+
+    /**
+     * Set the player's health attribute; 0 kills it.
+     */
+    health(current, max = 20) {
+        this.send("update_attributes", {
+            runtime_entity_id: 1n,
+            attributes: [{
+                min: 0,
+                max,
+                current,
+                default_min: 0,
+                default_max: max,
+                default: max,
+                name: "minecraft:health",
+                modifiers: [],
+            }],
+            tick: 0n,
+        });
+    }
+
+    /**
+     * Tell a dead player where it will respawn (respawn state 1).
+     */
+    respawnReady(position) {
+        this.send("respawn", { position, state: 1, runtime_entity_id: 1n });
+    }
+
+    changeDimension(dimension, position) {
+        this.send("change_dimension", { dimension, position, respawn: false, loading_screen_id: undefined });
+    }
+
+    /**
+     * Send a translated system message, such as a death message.
+     */
+    translation(key, parameters) {
+        this.send("text", {
+            needs_translation: true,
+            category: "parameters",
+            translate: "translation",
+            popup: "popup",
+            jukebox_popup: "jukeboxPopup",
+            type: "translation",
+            message: key,
+            parameters,
+            xuid: "",
+            platform_chat_id: "",
+            has_filtered_message: false,
+        });
+    }
+
+    /**
+     * Kick the player with a disconnect packet, then close the connection.
+     */
+    kick(message, reason = "kicked") {
+        this.send("disconnect", { reason, hide_disconnect_reason: false, message, filtered_message: "" });
+        setTimeout(() => this.close(), 100);
+    }
+
+    /**
+     * Drop the connection without a disconnect packet.
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.connection.close();
+    }
+}
+
+export class MockServer extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.autoSpawn=true] - Spawn players as soon as they log in
+     * @param {boolean} [options.answerPings=true] - Answer network_stack_latency probes
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { autoSpawn: true, answerPings: true, ...options };
+        this.server = null;
+        this.port = null;
+        this.players = [];
+    }
+
+    /**
+     * @returns {Promise<number>} the port it listens on
+     */
+    async start() {
+        this.port = await freePort();
+        this.server = new bedrock.Server({ host: "127.0.0.1", port: this.port, offline: true });
+        await this.server.listen();
+
+        this.server.on("connect", (connection) => {
+            connection.on("join", () => {
+                const player = new MockPlayer(connection, this);
+                this.players.push(player);
+                if (this.options.autoSpawn) {
+                    player.spawn()
+                        .then(() => this.emit("spawn", player))
+                        .catch((error) => this.emit("error", error));
+                }
+                this.emit("join", player);
+            });
+        });
+        return this.port;
+    }
+
+    /**
+     * Next player to join, or spawn with autoSpawn.
+     */
+    nextPlayer({ event = this.options.autoSpawn ? "spawn" : "join", timeoutMs } = {}) {
+        return waitForEvent(this, event, { timeoutMs });
+    }
+
+    async stop() {
+        for (const player of this.players) player.close();
+        this.players = [];
+        if (!this.server) return;
+
+        // Server.close() would send every player a disconnect packet in a pre-1.21 layout
+        clearInterval(this.server.serverTimer);
+        this.server.clients = {};
+        this.server.raknet?.close();
+        this.server = null;
+
+        // raknet-native can crash if the next server starts while this one is still shutting down
+        await new Promise((resolve) => setTimeout(resolve, SETTLE_MS));
+    }
+}
+
+export default MockServer;
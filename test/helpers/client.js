@@ -0,0 +1,95 @@
+/**
+ * TEST CLIENT
+ * BedrockHeadlessClient set up for the mock server: offline auth, short timeouts,
+ * console logging off. connectReady() is the usual per-test fixture.
+ */
+
+import { BedrockHeadlessClient } from "../../src/BedrockHeadlessClient.js";
+import { ConnectionState } from "../../src/StateMachine.js";
+import { configureLogging } from "../../src/logger.js";
+import { MockServer, waitForEvent } from "./MockServer.js";
+
+configureLogging({ console: { level: process.env.TEST_LOG_LEVEL || "off" } });
+
+/**
+ * @param {number} port - MockServer port
+ * @param {object} [overrides] - Merged over the test config, one level deep
+ */
+export function createTestClient(port, overrides = {}) {
+    const defaults = {
+        name: "test",
+        username: "tester",
+        offline: true,
+        server: { ip: "127.0.0.1", port },
+        ping: { intervalMs: 200, timeoutMs: 3000 },
+        reconnect: { baseDelayMs: 100, jitter: 0, maxAttempts: 3 },
+        commands: { outputTimeoutMs: 2000, blockUnknown: false },
+        gui: { timeoutMs: 2000 },
+        readyTimeoutMs: 2000,
+    };
+
+    const config = { ...defaults, ...overrides };
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value && typeof value === "object" && !Array.isArray(value) && defaults[key]) {
+            config[key] = { ...defaults[key], ...value };
+        }
+    }
+    return new BedrockHeadlessClient(config);
+}
+
+/**
+ * Resolve with the next `event` from the bot that passes `test`.
+ */
+export function nextEvent(bot, event, options) {
+    return waitForEvent(bot, event, options);
+}
+
+/**
+ * Resolve once the bot enters `state`.
+ */
+export function waitForState(bot, state, { timeoutMs } = {}) {
+    if (bot.state.state === state) return Promise.resolve();
+    return waitForEvent(bot, "stateChange", { test: ({ to }) => to === state, timeoutMs });
+}
+
+/**
+ * Start a fresh mock server, connect a test client to it and wait until it is READY.
+ * @param {object} [overrides] - See createTestClient()
+ * @param {object} [spawnOptions] - Spawn the player by hand with these instead of autoSpawn
+ * @returns {Promise<{ server: MockServer, bot: BedrockHeadlessClient, player: object }>}
+ */
+export async function connectReady(overrides, spawnOptions) {
+    const server = new MockServer({ autoSpawn: !spawnOptions });
+    await server.start();
+    const bot = createTestClient(server.port, overrides);
+
+    try {
+        const joined = server.nextPlayer();
+        bot.connect();
+        const player = await joined;
+        if (spawnOptions) await player.spawn(spawnOptions);
+        await waitForState(bot, ConnectionState.READY);
+        return { server, bot, player };
+    } catch (error) {
+        // The caller never gets these to clean up
+        await shutdown({ server, bot });
+        throw error;
+    }
+}
+
+/**
+ * Disconnect the client and stop its server; either may be missing.
+ */
+export async function shutdown({ server, bot } = {}) {
+    if (bot && !bot.state.is(ConnectionState.DISCONNECTED)) bot.disconnect();
+    await server?.stop();
+}
+
+/**
+ * Wait until the client has handled everything the server sent so far.
+ */
+export async function sync(bot, player) {
+    const marker = waitForEvent(bot, "chat", { test: (c) => c.message === "sync" });
+    player.chat("sync");
+    await marker;
+}
@@ -0,0 +1,112 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { item } from "./helpers/MockServer.js";
+import { connectReady, nextEvent, shutdown } from "./helpers/client.js";
+
+let server, bot, player;
+
+beforeEach(async () => {
+    ({ server, bot, player } = await connectReady());
+});
+
+afterEach(async () => {
+    await shutdown({ server, bot });
+});
+
+/**
+ * Collect inventoryChange events until `count` have arrived.
+ */
+function collectChanges(count) {
+    const changes = [];
+    return new Promise((resolve) => {
+        const handler = (change) => {
+            changes.push(change);
+            if (changes.length < count) return;
+            bot.off("inventoryChange", handler);
+            resolve(changes);
+        };
+        bot.on("inventoryChange", handler);
+    });
+}
+
+test("inventory content fills the model with named items", async () => {
+    const changes = collectChanges(2);
+    player.inventory("inventory", [item(1, { count: 16 }), item(0), item(2, { count: 3, name: "§bReward" })]);
+    await changes;
+
+    const slots = bot.inventory.getSlots();
+    assert.equal(slots.length, 36);
+    assert.equal(slots[0].item.id, "minecraft:ender_pearl");
+    assert.equal(slots[0].item.count, 16);
+    assert.equal(slots[1].item, null);
+    assert.equal(slots[2].item.name, "§bReward");
+    assert.equal(bot.inventory.count("diamond"), 3);
+    assert.equal(bot.inventory.count("minecraft:ender_pearl"), 16);
+    assert.deepEqual(bot.inventory.find("reward"), { window: "inventory", slot: 2, item: slots[2].item });
+});
+
+test("armor and offhand are tracked separately", async () => {
+    const changes = collectChanges(2);
+    player.inventory("armor", [item(0), item(3)]);
+    player.inventory("offhand", [item(1)]);
+    await changes;
+
+    assert.equal(bot.inventory.getSlots("armor")[1].item.id, "minecraft:barrier");
+    assert.equal(bot.inventory.getSlots("offhand")[0].item.id, "minecraft:ender_pearl");
+    assert.equal(bot.inventory.getSlots("inventory").every((s) => s.item === null), true);
+    assert.ok(bot.inventory.format().includes("  [chestplate] barrier x1"));
+});
+
+test("a slot update reports before and after", async () => {
+    const filled = nextEvent(bot, "inventoryChange");
+    player.inventory("inventory", [item(2, { count: 1 })]);
+    await filled;
+
+    const changed = nextEvent(bot, "inventoryChange");
+    player.inventorySlot("inventory", 0, item(2, { count: 5 }));
+    const { window, slot, before, after } = await changed;
+
+    assert.equal(window, "inventory");
+    assert.equal(slot, 0);
+    assert.equal(before.count, 1);
+    assert.equal(after.count, 5);
+    assert.equal(bot.inventory.count("diamond"), 5);
+});
+
+test("resending unchanged content emits nothing", async () => {
+    const filled = nextEvent(bot, "inventoryChange");
+    player.inventory("inventory", [item(2)]);
+    await filled;
+
+    let changes = 0;
+    bot.on("inventoryChange", () => changes++);
+    player.inventory("inventory", [item(2)]);
+    const emptied = nextEvent(bot, "inventoryChange");
+    player.inventorySlot("inventory", 0, item(0));
+    await emptied;
+
+    assert.equal(changes, 1);
+    assert.equal(bot.inventory.count("diamond"), 0);
+});
+
+test("scripts can check for a reward after a GUI click", async () => {
+    player.on("packet", ({ name, params }) => {
+        if (name === "command_request") player.openContainer(7, [item(2, { name: "§aClaim" })]);
+        if (name === "inventory_transaction" && params.transaction.actions[0]?.slot === 0) {
+            player.inventorySlot("inventory", 4, item(2, { count: 2 }));
+        }
+    });
+
+    const result = await bot.scripts.run({
+        name: "claim",
+        steps: [
+            { exec: "rewards" },
+            { waitForGui: true },
+            { click: 0 },
+            { repeat: 10, until: { has: "diamond", count: 2 }, steps: [{ wait: 100 }] },
+            { if: { not: { has: "diamond", count: 2 } }, then: [{ fail: "No reward" }] },
+        ],
+    });
+
+    assert.deepEqual(result, { ok: true });
+});
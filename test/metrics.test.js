@@ -0,0 +1,89 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { connectReady, nextEvent, shutdown } from "./helpers/client.js";
+import { ApiServer } from "../src/ApiServer.js";
+import { formatMetrics } from "../src/Metrics.js";
+
+const TOKEN = "secret";
+
+let server, bot, player, api;
+
+beforeEach(async () => {
+    ({ server, bot, player } = await connectReady());
+});
+
+afterEach(async () => {
+    api?.stop();
+    await shutdown({ server, bot });
+    api = null;
+});
+
+/**
+ * Value of one sample line, e.g. sample(text, 'bedrock_connected{account="test"}').
+ */
+function sample(text, series) {
+    const line = text.split("\n").find((l) => l.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test("session gauges and packet counters", async () => {
+    const request = player.waitFor("command_request");
+    const output = bot.execWithOutput("list");
+    player.commandOutput(await request);
+    await output;
+    await nextEvent(bot, "latency");
+
+    const text = formatMetrics([bot]);
+    assert.equal(sample(text, 'bedrock_connected{account="test"}'), 1);
+    assert.equal(sample(text, 'bedrock_connection_state{account="test",state="READY"}'), 1);
+    assert.equal(sample(text, 'bedrock_connection_state{account="test",state="DISCONNECTED"}'), 0);
+    assert.ok(sample(text, 'bedrock_session_uptime_seconds{account="test"}') > 0);
+    assert.ok(sample(text, 'bedrock_last_packet_age_seconds{account="test"}') >= 0);
+    assert.equal(sample(text, 'bedrock_queue_depth{account="test"}'), 0);
+    assert.equal(sample(text, 'bedrock_sessions_total{account="test"}'), 1);
+    assert.equal(sample(text, 'bedrock_commands_sent_total{account="test"}'), 1);
+    assert.equal(sample(text, 'bedrock_packets_received_total{account="test",packet="available_commands"}'), 1);
+    assert.equal(sample(text, 'bedrock_packets_sent_total{account="test",packet="command_request"}'), 1);
+    assert.ok(sample(text, 'bedrock_ping_rtt_seconds_count{account="test"}') >= 1);
+    assert.equal(
+        sample(text, 'bedrock_ping_rtt_seconds_bucket{account="test",le="+Inf"}'),
+        sample(text, 'bedrock_ping_rtt_seconds_count{account="test"}'),
+    );
+    assert.match(text, /^# TYPE bedrock_ping_rtt_seconds histogram$/m);
+    assert.match(text, /^# TYPE bedrock_connected gauge$/m);
+});
+
+test("kicks and reconnects are counted by category across sessions", async () => {
+    const rejoined = server.nextPlayer();
+    player.kick("You were kicked by an operator");
+    await rejoined;
+    await nextEvent(bot, "reconnect");
+
+    const text = formatMetrics([bot]);
+    assert.equal(sample(text, 'bedrock_kicks_total{account="test",category="kicked"}'), 1);
+    assert.equal(sample(text, 'bedrock_reconnects_total{account="test",category="kicked"}'), 1);
+    assert.equal(sample(text, 'bedrock_sessions_total{account="test"}'), 2);
+    // Packet counters keep counting over the reconnect
+    assert.equal(sample(text, 'bedrock_packets_received_total{account="test",packet="available_commands"}'), 2);
+});
+
+test("GET /metrics is opt-in and needs the token", async () => {
+    const accounts = { all: () => [bot] };
+    api = new ApiServer(accounts, { port: 0, token: TOKEN });
+    let port = await api.start();
+    let response = await fetch(`http://127.0.0.1:${port}/metrics`, { headers: { authorization: `Bearer ${TOKEN}` } });
+    assert.equal(response.status, 404);
+    api.stop();
+
+    api = new ApiServer(accounts, { port: 0, token: TOKEN, metrics: true });
+    port = await api.start();
+    response = await fetch(`http://127.0.0.1:${port}/metrics`);
+    assert.equal(response.status, 401);
+
+    response = await fetch(`http://127.0.0.1:${port}/metrics?token=${TOKEN}`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/plain/);
+    const text = await response.text();
+    assert.match(text, /^# HELP bedrock_connected /m);
+    assert.equal(sample(text, 'bedrock_connected{account="test"}'), 1);
+});
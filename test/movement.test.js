@@ -0,0 +1,102 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { connectReady, shutdown, sync } from "./helpers/client.js";
+import { lookAngles } from "../src/Movement.js";
+
+// Feet at 0, 64, 0
+const START = { x: 0, y: 65.62, z: 0 };
+
+let server, bot, player;
+
+beforeEach(async () => {
+    ({ server, bot, player } = await connectReady({ movement: { speed: 10 } }));
+
+    player.moveTo(START);
+    await sync(bot, player);
+});
+
+afterEach(async () => {
+    await shutdown({ server, bot });
+});
+
+/**
+ * Everything the client sent so far, once the server has received it.
+ */
+async function flushed() {
+    const marker = player.waitFor("text", { test: (p) => p.message === "flush" });
+    bot.chat("flush");
+    await marker;
+}
+
+function inputs() {
+    return player.received.filter((p) => p.name === "player_auth_input").map((p) => p.params);
+}
+
+test("yaw follows the Minecraft convention", () => {
+    assert.equal(Math.abs(lookAngles(0, 0, 1).yaw), 0);
+    assert.equal(lookAngles(-1, 0, 0).yaw, 90);
+    assert.equal(Math.round(lookAngles(0, 1, 1).pitch), -45);
+});
+
+test("goto walks in a straight line and stops on arrival", async () => {
+    const result = await bot.movement.goto(0, 64, 1.9);
+
+    assert.equal(result.ok, true);
+    assert.equal(result.reason, "arrived");
+    assert.deepEqual(result.target, { x: 0, y: 64, z: 1.9 });
+
+    await flushed();
+    const sent = inputs();
+    // 1.9 blocks at 10 blocks/s in 0.5-block steps
+    assert.equal(sent.length, 4);
+    assert.ok(sent.slice(0, -1).every((p) => p.input_data.up && Math.abs(p.delta.z - 0.5) < 1e-6));
+    assert.ok(Math.abs(sent[sent.length - 1].position.z - 1.9) < 1e-5);
+    assert.equal(Math.abs(sent[0].yaw), 0);
+    assert.ok(sent.every((p, i) => i === 0 || p.tick > sent[i - 1].tick));
+    assert.equal(bot.player.position.z, 1.9);
+});
+
+test("a server correction ends the walk", async () => {
+    const walking = bot.movement.goto(0, 64, 50);
+    await player.waitFor("player_auth_input");
+    player.moveTo({ x: 0, y: 65.5, z: -3 });
+
+    const result = await walking;
+    assert.equal(result.ok, false);
+    assert.equal(result.reason, "corrected");
+    assert.equal(bot.player.position.z, -3);
+});
+
+test("a walk that takes too long times out", async () => {
+    const result = await bot.movement.goto(0, 64, 50, { timeoutMs: 200 });
+    assert.equal(result.reason, "timeout");
+    assert.equal(bot.movement.moving, false);
+});
+
+test("look sends the new rotation without moving", async () => {
+    const input = player.waitFor("player_auth_input");
+    assert.equal(bot.movement.look(90, 30), true);
+
+    const sent = await input;
+    assert.equal(sent.yaw, 90);
+    assert.equal(sent.pitch, 30);
+    assert.equal(sent.input_data.up, false);
+    assert.ok(Math.abs(sent.position.y - START.y) < 1e-5);
+});
+
+test("look reports a failed write instead of throwing", async () => {
+    const before = { ...bot.player.rotation };
+    bot.client.write = () => {
+        throw new Error("socket closed");
+    };
+
+    assert.equal(bot.movement.look(45, 0), false);
+    assert.deepEqual(bot.player.rotation, before);
+});
+
+test("scripts can walk before clicking an NPC menu", async () => {
+    const result = await bot.scripts.run({ name: "walk", steps: [{ goto: [1, 64, 0] }, { look: [0, 10] }] });
+    assert.deepEqual(result, { ok: true });
+    assert.equal(bot.player.position.x, 1);
+    assert.equal(bot.player.rotation.pitch, 10);
+});
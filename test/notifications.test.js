@@ -0,0 +1,179 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { waitForEvent } from "./helpers/MockServer.js";
+import { connectReady, nextEvent, shutdown, sync } from "./helpers/client.js";
+
+let server, bot, player, webhook, dir;
+
+/**
+ * Local stand-in for a webhook receiver; emits "notification" with each POSTed body.
+ */
+async function startWebhook() {
+    webhook = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            res.end("ok");
+            webhook.emit("notification", { body: JSON.parse(body), headers: req.headers });
+        });
+    });
+    await new Promise((resolve) => webhook.listen(0, "127.0.0.1", resolve));
+    return `http://127.0.0.1:${webhook.address().port}/hook`;
+}
+
+afterEach(async () => {
+    await shutdown({ server, bot });
+    await new Promise((resolve) => (webhook ? webhook.close(resolve) : resolve()));
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    server = bot = player = webhook = dir = null;
+});
+
+function tempFile(name) {
+    dir ??= fs.mkdtempSync(path.join(os.tmpdir(), "notify-"));
+    return path.join(dir, name);
+}
+
+function readLines(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, "utf8").trim().split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+/**
+ * Wait until the client has handled everything sent so far, and the file sink has written.
+ */
+async function roundTrip() {
+    await sync(bot, player);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+test("a kick is posted to the webhook with its reason", async () => {
+    const url = await startWebhook();
+    ({ server, bot, player } = await connectReady({
+        notifications: { sinks: [{ type: "webhook", url, headers: { "x-token": "secret" } }] },
+    }));
+
+    const received = waitForEvent(webhook, "notification");
+    player.kick("You were kicked for spamming");
+
+    const { body, headers } = await received;
+    assert.equal(body.event, "kick");
+    assert.equal(body.account, "test");
+    assert.equal(body.message, "You were kicked for spamming");
+    assert.equal(body.text, "[test] Kicked: You were kicked for spamming");
+    assert.equal(headers["x-token"], "secret");
+});
+
+test("mentions and whispers go to the file sink, throttled per event", async () => {
+    const file = tempFile("notify.jsonl");
+    ({ server, bot, player } = await connectReady({
+        notifications: {
+            sinks: [{ type: "file", path: file }],
+            events: { mention: { throttleMs: 60000 } },
+        },
+    }));
+
+    player.chat("nobody cares", { source: "Steve" });
+    player.chat(`hey ${bot.playerName}, trade?`, { source: "Steve" });
+    player.chat(`${bot.playerName} are you there`, { source: "Alex" });
+    player.chat(`talking to myself, ${bot.playerName}`, { source: bot.playerName });
+    player.chat("psst", { source: "Alex", whisper: true });
+    await roundTrip();
+
+    const lines = readLines(file);
+    assert.deepEqual(lines.map((n) => n.event), ["mention", "dm"]);
+    assert.equal(lines[0].title, "Mentioned by Steve");
+    assert.equal(lines[1].title, "DM from Alex");
+    assert.equal(lines[1].message, "psst");
+
+    // The throttled mention is counted on the next one that goes out
+    bot.notifier.lastSent.delete("mention");
+    player.chat(`${bot.playerName}!`, { source: "Alex" });
+    await roundTrip();
+    assert.equal(readLines(file)[2].suppressed, 1);
+});
+
+test("plugin DMs are matched with the dm pattern", async () => {
+    const file = tempFile("notify.jsonl");
+    ({ server, bot, player } = await connectReady({
+        notifications: {
+            sinks: [{ type: "file", path: file, events: ["dm"] }],
+            events: { dm: { pattern: "^\\[(?<sender>\\w+) -> me\\] (?<message>.*)$" } },
+        },
+    }));
+
+    player.chat("[Notch -> me] meet at spawn");
+    player.chat(`[${bot.playerName} -> me] echo`);
+    await roundTrip();
+
+    const lines = readLines(file);
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].title, "DM from Notch");
+    assert.equal(lines[0].message, "meet at spawn");
+    assert.deepEqual(lines[0].data, { sender: "Notch" });
+});
+
+test("giving up on reconnecting runs the exec sink", async () => {
+    const file = tempFile("exec.json");
+    ({ server, bot, player } = await connectReady({
+        notifications: { sinks: [{ type: "exec", command: `cat > "${file}"`, events: ["reconnectFailed"] }] },
+    }));
+
+    const failed = nextEvent(bot, "reconnectFailed");
+    player.kick("You are banned from this server");
+    await failed;
+    // The command runs in a shell, give it time to start and write
+    for (let i = 0; i < 30 && !fs.existsSync(file); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const notification = JSON.parse(fs.readFileSync(file, "utf8"));
+    assert.equal(notification.event, "reconnectFailed");
+    assert.equal(notification.title, "Gave up reconnecting");
+    assert.equal(notification.data.category, "banned");
+    assert.equal(notification.data.gaveUp, true);
+});
+
+test("trigger notify actions are forwarded, disabled events are not", async () => {
+    const file = tempFile("notify.jsonl");
+    ({ server, bot, player } = await connectReady({
+        notifications: { sinks: [{ type: "file", path: file }], events: { mention: { enabled: false } } },
+        triggers: [{ name: "rare", pattern: "rare drop", action: { type: "notify" } }],
+    }));
+
+    player.chat(`${bot.playerName} found a rare drop`);
+    await roundTrip();
+
+    const lines = readLines(file);
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].event, "trigger");
+    assert.equal(lines[0].title, "Trigger rare");
+    assert.deepEqual(lines[0].data, { source: "trigger" });
+});
+
+test("a replayed kick or mention sends nothing", async () => {
+    const file = tempFile("notify.jsonl");
+    ({ server, bot, player } = await connectReady({
+        notifications: { sinks: [{ type: "file", path: file, events: ["kick", "mention", "dm"] }] },
+        record: { enabled: true, dir },
+        reconnect: { enabled: false },
+    }));
+
+    player.chat(`hey ${bot.playerName}`, { source: "Steve" });
+    player.chat("psst", { source: "Alex", whisper: true });
+    await sync(bot, player);
+    const kicked = nextEvent(bot, "disconnect");
+    player.kick("You were kicked for spamming");
+    await kicked;
+    bot.recorder.stop();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(readLines(file).map((n) => n.event), ["mention", "dm", "kick"]);
+
+    await bot.replay(bot.recorder.file, { speed: 0 });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(readLines(file).length, 3);
+});
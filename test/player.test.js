@@ -0,0 +1,97 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { connectReady, nextEvent, shutdown, sync } from "./helpers/client.js";
+
+const SPAWN = { x: 0.5, y: 65.5, z: 0.5 };
+
+let server, bot, player;
+
+afterEach(async () => {
+    await shutdown({ server, bot });
+    server = bot = player = null;
+});
+
+test("position and dimension follow the server", async () => {
+    ({ server, bot, player } = await connectReady());
+
+    player.moveTo({ x: 100.5, y: 71.62, z: -20.5 }, { yaw: 90 });
+    await sync(bot, player);
+    assert.deepEqual(bot.player.block, { x: 100, y: 70, z: -21 });
+    assert.equal(bot.player.rotation.yaw, 90);
+
+    const changed = nextEvent(bot, "dimensionChange");
+    const ack = player.waitFor("player_action", { test: (p) => p.action === "dimension_change_ack" });
+    player.changeDimension(1, { x: 12, y: 40, z: 3 });
+
+    const { to, position } = await changed;
+    assert.equal(to, "nether");
+    assert.deepEqual(position, { x: 12, y: 40, z: 3 });
+    await ack;
+    assert.equal(bot.getStatus().dimension, "nether");
+});
+
+test("health dropping to zero is a death", async () => {
+    ({ server, bot, player } = await connectReady());
+
+    player.health(20);
+    await sync(bot, player);
+    assert.equal(bot.player.health, 20);
+
+    const died = nextEvent(bot, "death");
+    player.health(0);
+    const death = await died;
+    assert.equal(death.cause, "health");
+    assert.equal(bot.player.alive, false);
+    assert.equal(bot.player.deaths, 1);
+    assert.equal(bot.getStatus().alive, false);
+});
+
+test("a death message naming the bot is a death", async () => {
+    ({ server, bot, player } = await connectReady());
+
+    player.translation("%death.attack.player", ["Somebody", "Steve"]);
+    await sync(bot, player);
+    assert.equal(bot.player.alive, true);
+
+    const died = nextEvent(bot, "death");
+    player.translation("%death.attack.player", [bot.playerName, "Steve"]);
+    const death = await died;
+    assert.equal(death.cause, "death.attack.player");
+    assert.match(death.message, /Steve/);
+});
+
+test("auto-respawn answers the server and runs the respawn command", async () => {
+    ({ server, bot, player } = await connectReady({ respawn: { auto: true, delayMs: 100, command: "home", commandDelayMs: 100 } }));
+
+    const respawnPacket = player.waitFor("respawn", { test: (p) => p.state === 2 });
+    const respawnAction = player.waitFor("player_action", { test: (p) => p.action === "respawn" });
+    const home = player.waitFor("command_request", { test: (p) => p.command === "/home" });
+    const respawned = nextEvent(bot, "respawn");
+
+    player.health(0);
+    player.respawnReady(SPAWN);
+
+    assert.deepEqual(await respawned, { auto: true });
+    assert.deepEqual((await respawnPacket).position, SPAWN);
+    await respawnAction;
+    await home;
+    assert.equal(bot.player.alive, true);
+    assert.deepEqual(bot.player.position, SPAWN);
+});
+
+test("without auto-respawn the bot waits for a manual respawn", async () => {
+    ({ server, bot, player } = await connectReady());
+
+    const died = nextEvent(bot, "death");
+    player.health(0);
+    player.respawnReady(SPAWN);
+    await died;
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.equal(bot.player.alive, false);
+    assert.equal(player.received.some((p) => p.name === "respawn"), false);
+
+    const respawnPacket = player.waitFor("respawn");
+    assert.equal(bot.player.respawn(), true);
+    assert.equal((await respawnPacket).state, 2);
+    assert.equal(bot.player.respawn(), false);
+});
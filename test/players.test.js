@@ -0,0 +1,91 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { connectReady, nextEvent, shutdown } from "./helpers/client.js";
+
+const STEVE = { uuid: "11111111-1111-1111-1111-111111111111", name: "Steve", xuid: "2535400000000001", platform: 1 };
+const ALEX = { uuid: "22222222-2222-2222-2222-222222222222", name: "Alex", xuid: "2535400000000002", platform: 12 };
+
+// Every record after spawn is a real join
+const NO_INITIAL_SYNC = { players: { initialSyncMs: 0 } };
+
+let server, bot, player;
+
+afterEach(async () => {
+    await shutdown({ server, bot });
+    server = bot = player = null;
+});
+
+test("the initial player list builds the roster", async () => {
+    ({ server, bot, player } = await connectReady());
+    const joins = [];
+    bot.on("playerJoin", (p) => joins.push(p));
+    const joined = nextEvent(bot, "playerJoin");
+    player.playerList("add", [STEVE, ALEX]);
+    await joined;
+
+    assert.deepEqual(joins.map((p) => [p.name, p.initial, p.platform]), [["Steve", true, "Android"], ["Alex", true, "Switch"]]);
+    assert.deepEqual(bot.players.list().map((p) => p.name), ["Alex", "Steve"]);
+    assert.deepEqual(bot.players.list("ste").map((p) => p.name), ["Steve"]);
+    assert.equal(bot.players.get("alex").xuid, ALEX.xuid);
+    assert.equal(bot.getStatus().playersOnline, 2);
+});
+
+test("later joins and leaves are emitted", async () => {
+    ({ server, bot, player } = await connectReady(NO_INITIAL_SYNC));
+
+    const joined = nextEvent(bot, "playerJoin");
+    player.playerList("add", [ALEX]);
+    const join = await joined;
+    assert.equal(join.name, "Alex");
+    assert.equal(join.initial, false);
+    assert.equal(bot.players.isOnline("Alex"), true);
+
+    const left = nextEvent(bot, "playerLeave");
+    player.playerList("remove", [ALEX]);
+    assert.deepEqual(await left, { name: "Alex", uuid: ALEX.uuid, xuid: ALEX.xuid, platform: "Switch" });
+    assert.equal(bot.players.isOnline("Alex"), false);
+});
+
+test("a resent record does not count as a new join", async () => {
+    ({ server, bot, player } = await connectReady(NO_INITIAL_SYNC));
+    const joins = [];
+    bot.on("playerJoin", (p) => joins.push(p.name));
+
+    player.playerList("add", [STEVE]);
+    await nextEvent(bot, "playerJoin");
+    player.playerList("add", [STEVE]);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    assert.deepEqual(joins, ["Steve"]);
+    assert.equal(bot.players.size, 1);
+});
+
+test("scripts can gate a command on the target being online", async () => {
+    ({ server, bot, player } = await connectReady());
+    const script = {
+        name: "tpa-alex",
+        steps: [{ if: { online: "Alex" }, then: [{ exec: "tpa Alex" }], else: [{ fail: "Alex is offline" }] }],
+    };
+
+    const offline = await bot.scripts.run(script);
+    assert.equal(offline.ok, false);
+    assert.match(offline.error, /Alex is offline/);
+
+    const joined = nextEvent(bot, "playerJoin");
+    player.playerList("add", [ALEX]);
+    await joined;
+
+    const request = player.waitFor("command_request");
+    assert.equal((await bot.scripts.run(script)).ok, true);
+    assert.equal((await request).command, "/tpa Alex");
+});
+
+test("the roster is cleared on disconnect", async () => {
+    ({ server, bot, player } = await connectReady());
+    const joined = nextEvent(bot, "playerJoin");
+    player.playerList("add", [STEVE]);
+    await joined;
+
+    bot.disconnect();
+    assert.equal(bot.players.size, 0);
+});
@@ -0,0 +1,55 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { connectReady, nextEvent, shutdown, sync } from "./helpers/client.js";
+import { readRecording } from "../src/PacketRecorder.js";
+import { ConnectionState } from "../src/StateMachine.js";
+
+let server, bot, player, dir;
+
+afterEach(async () => {
+    await shutdown({ server, bot });
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    server = bot = player = dir = null;
+});
+
+test("a recorded session replays its spawn, chat and kick without a server", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "record-"));
+    ({ server, bot, player } = await connectReady({
+        record: { enabled: true, dir },
+        reconnect: { enabled: false },
+    }));
+    const file = bot.recorder.file;
+
+    player.moveTo({ x: 10.5, y: 65.62, z: -3.5 });
+    player.playerList("add", [{ uuid: "5b1c3d9e-0000-4000-8000-000000000001", name: "Steve" }]);
+    player.chat("hello from the server", { source: "Steve" });
+    await sync(bot, player);
+    const kicked = nextEvent(bot, "disconnect");
+    player.kick("You were kicked by an operator");
+    await kicked;
+    bot.recorder.stop();
+
+    const { meta, packets } = readRecording(file);
+    assert.equal(meta.account, "test");
+    assert.ok(packets.some((p) => p.dir === "out"));
+    const move = packets.find((p) => p.dir === "in" && p.name === "move_player");
+    assert.equal(typeof move.params.tick, "bigint");
+    const list = packets.find((p) => p.dir === "in" && p.name === "player_list");
+    assert.ok(Buffer.isBuffer(list.params.records.records[0].skin_data.skin_data.data));
+
+    const events = [];
+    for (const event of ["spawn", "chat", "kick", "disconnect"]) {
+        bot.on(event, (e) => events.push(event === "chat" ? `chat:${e.message}` : event));
+    }
+    const result = await bot.replay(file, { speed: 0 });
+
+    // The replayed kick ends the session right after the last packet
+    assert.equal(result.packets, packets.filter((p) => p.dir === "in").length);
+    assert.deepEqual(events.filter((e) => e !== "chat:sync"), ["spawn", "chat:hello from the server", "kick", "disconnect"]);
+    assert.equal(bot.state.state, ConnectionState.DISCONNECTED);
+    assert.equal(bot.replaying, null);
+    assert.equal(bot.getStatus().replaying, null);
+});
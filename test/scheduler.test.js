@@ -0,0 +1,51 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { connectReady, nextEvent, shutdown, sync } from "./helpers/client.js";
+
+let server, bot, player;
+
+afterEach(async () => {
+    await shutdown({ server, bot });
+    server = bot = player = null;
+});
+
+test("runs missed while disconnected are skipped or run once, per job", async () => {
+    ({ server, bot, player } = await connectReady({
+        schedule: [
+            { name: "skipper", intervalMs: 60000, chat: "skipped", missed: "skip" },
+            { name: "catchup", intervalMs: 60000, command: "catchup", missed: "run" },
+        ],
+    }));
+    const jobs = [];
+    bot.on("job", (job) => jobs.push(job));
+
+    // Both jobs fall due while the client is away
+    bot.once("disconnect", () => {
+        for (const job of bot.scheduler.jobs) job.nextRun = Date.now() - 1000;
+    });
+    const rejoined = server.nextPlayer();
+    player.kick("You were kicked by an operator");
+    player = await rejoined;
+
+    const request = player.waitFor("command_request");
+    await nextEvent(bot, "job");
+    assert.equal((await request).command, "/catchup");
+    await sync(bot, player);
+
+    assert.deepEqual(jobs, [{ name: "catchup", manual: false }]);
+    assert.ok(bot.scheduler.get("skipper").nextRun > Date.now());
+    assert.ok(bot.scheduler.get("catchup").nextRun > Date.now());
+});
+
+test("no job runs while the player is not spawned", async () => {
+    ({ server, bot, player } = await connectReady({
+        schedule: [{ name: "often", intervalMs: 100, chat: "hi" }],
+    }));
+    await nextEvent(bot, "job");
+
+    bot.disconnect();
+    assert.equal(bot.scheduler.paused, true);
+    const runs = bot.scheduler.get("often").runs;
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+    assert.equal(bot.scheduler.get("often").runs, runs);
+});
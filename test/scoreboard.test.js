@@ -0,0 +1,91 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { connectReady, nextEvent, shutdown } from "./helpers/client.js";
+import { parseDuration, parseNumber } from "../src/Scoreboard.js";
+
+const EXTRACTORS = [
+    { name: "money", pattern: "money:?\\s*\\$?([\\d.,]+\\s*[kmbt]?)" },
+    { name: "playtime", pattern: "playtime:?\\s*((?:\\d+\\s*[wdhms]\\s*)+)", type: "duration" },
+    { name: "kills", pattern: "kills (?<value>\\d+)", source: "title" },
+    { name: "event", pattern: "event (\\d+)%", source: "bossbar" },
+];
+
+let server, bot, player;
+
+beforeEach(async () => {
+    ({ server, bot, player } = await connectReady({ scoreboard: { extractors: EXTRACTORS } }));
+});
+
+afterEach(async () => {
+    await shutdown({ server, bot });
+});
+
+test("numbers and durations are parsed from HUD text", () => {
+    assert.equal(parseNumber("$1,234.5"), 1234.5);
+    assert.equal(parseNumber("1.2M"), 1200000);
+    assert.equal(parseNumber("5k"), 5000);
+    assert.equal(parseNumber("none"), null);
+    assert.equal(parseDuration("3d 4h 5m"), 3 * 86400 + 4 * 3600 + 5 * 60);
+    assert.equal(parseDuration("soon"), null);
+});
+
+test("the sidebar is modelled and stats are extracted from it", async () => {
+    const changes = [];
+    bot.on("statChange", (change) => changes.push(change));
+    const extracted = nextEvent(bot, "statChange", { test: (c) => c.name === "playtime" });
+    player.sidebar("hud", "§6§lDonutSMP", ["§fMoney: §a$1.2M", "§fShards: §d40", "§fPlaytime: §e1d 2h"]);
+    await extracted;
+
+    const sidebar = bot.scoreboard.getSidebar();
+    assert.equal(sidebar.title, "§6§lDonutSMP");
+    assert.deepEqual(sidebar.lines.map((l) => l.text), ["§fMoney: §a$1.2M", "§fShards: §d40", "§fPlaytime: §e1d 2h"]);
+    assert.deepEqual(changes.map((c) => [c.name, c.value]), [["money", 1200000], ["playtime", 93600]]);
+    assert.deepEqual(bot.getStatus().stats, { money: 1200000, playtime: 93600 });
+});
+
+test("stat changes are recorded over the session", async () => {
+    player.sidebar("hud", "HUD", ["Money: $100"]);
+    await nextEvent(bot, "statChange");
+
+    const changed = nextEvent(bot, "statChange");
+    player.sidebar("hud", "HUD", ["Money: $250"]);
+    assert.deepEqual(await changed, { name: "money", value: 250, previous: 100, raw: "250", source: "sidebar" });
+
+    assert.deepEqual(bot.scoreboard.history("money").map((h) => h.value), [100, 250]);
+    const [stats] = bot.scoreboard.getStats();
+    assert.equal(stats.change, 150);
+    assert.equal(stats.max, 250);
+
+    // Stats survive a disconnect, the live sidebar does not
+    bot.disconnect();
+    assert.equal(bot.scoreboard.getSidebar(), null);
+    assert.equal(bot.scoreboard.values().money, 250);
+});
+
+test("the history size is read from the current config", async () => {
+    for (const money of [1, 2, 3, 4]) {
+        const changed = nextEvent(bot, "statChange");
+        player.sidebar("hud", "HUD", [`Money: $${money}`]);
+        await changed;
+    }
+    assert.equal(bot.scoreboard.history("money").length, 4);
+
+    bot.config.scoreboard.historySize = 2;
+    const changed = nextEvent(bot, "statChange");
+    player.sidebar("hud", "HUD", ["Money: $5"]);
+    await changed;
+    assert.deepEqual(bot.scoreboard.history("money").map((h) => h.value), [4, 5]);
+});
+
+test("titles and boss bars are tracked and can feed stats", async () => {
+    const shown = nextEvent(bot, "title");
+    const kills = nextEvent(bot, "statChange", { test: (c) => c.name === "kills" });
+    player.title("set_title", "§cKills 7");
+    assert.deepEqual(await shown, { type: "title", text: "§cKills 7" });
+    assert.equal((await kills).value, 7);
+
+    const bar = nextEvent(bot, "statChange", { test: (c) => c.name === "event" });
+    player.bossBar(42, "§dEvent 35% done", 0.35);
+    assert.equal((await bar).value, 35);
+    assert.ok(bot.scoreboard.format().includes("Boss bar: Event 35% done (35%)"));
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createTestClient } from "./helpers/client.js";
+import { loadScript } from "../src/ScriptRunner.js";
+
+/**
+ * Write steps to a script file in a temporary directory and load it.
+ */
+function load(steps) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scripts-"));
+    try {
+        fs.writeFileSync(path.join(dir, "test.json"), JSON.stringify({ steps }));
+        return loadScript("test", dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test("an item count only makes sense together with has", () => {
+    assert.throws(() => load([{ if: { count: 3 }, then: [{ log: "x" }] }]), /Step 1: count needs has/);
+    assert.doesNotThrow(() => load([{ if: { has: "diamond", count: 3 }, then: [{ log: "x" }] }]));
+});
+
+test("an endless repeat of steps that never wait can still be stopped", async () => {
+    // Never connected: the loop only logs and checks a GUI that never opens
+    const bot = createTestClient(0);
+    const running = bot.scripts.run({
+        name: "spin",
+        steps: [{ repeat: true, until: { guiOpen: true }, steps: [{ log: "x" }] }],
+    });
+
+    const stopped = new Promise((resolve) => setTimeout(() => resolve(bot.scripts.stop()), 50));
+    assert.equal(await stopped, true);
+
+    const result = await running;
+    assert.equal(result.ok, false);
+    assert.equal(result.error, "Stopped");
+    assert.equal(bot.scripts.running, false);
+});
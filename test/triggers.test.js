@@ -0,0 +1,86 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { connectReady, shutdown, sync } from "./helpers/client.js";
+import { compileRule, expandTemplate } from "../src/TriggerEngine.js";
+
+let server, bot, player;
+
+afterEach(async () => {
+    await shutdown({ server, bot });
+    server = bot = player = null;
+});
+
+/**
+ * Connect with these trigger rules and collect every "trigger" event.
+ */
+async function connectWith(triggers) {
+    ({ server, bot, player } = await connectReady({ triggers }));
+    const fired = [];
+    bot.on("trigger", (event) => fired.push(event));
+    return fired;
+}
+
+test("templates are filled from numbered and named groups", () => {
+    const match = /^(?<sender>\w+) paid you \$(\d+)$/.exec("Steve paid you $250");
+    assert.equal(expandTemplate("thanks $<sender> for $2 ($0)", match), "thanks Steve for 250 (Steve paid you $250)");
+    // Groups that did not take part, or do not exist, become empty
+    assert.equal(expandTemplate("[$<missing>][$7]", match), "[][]");
+});
+
+test("a matching message runs the action with its captures", async () => {
+    const fired = await connectWith([
+        { name: "tpa", pattern: "^(?<sender>\\w+) wants to teleport to you$", action: { type: "exec", command: "tpaccept $<sender>" } },
+    ]);
+
+    const request = player.waitFor("command_request");
+    player.chat("Hello everyone");
+    player.chat("Steve wants to teleport to you");
+
+    assert.equal((await request).command, "/tpaccept Steve");
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].name, "tpa");
+    assert.equal(fired[0].sender, "Steve");
+});
+
+test("the sender filter checks the source name or the sender group", async () => {
+    const fired = await connectWith([
+        { name: "byName", pattern: "hello", from: ["steve"], action: { type: "notify" } },
+        { name: "byRegex", pattern: "^\\[(?<sender>\\w+)\\] hello", from: "/^A/", action: { type: "notify" } },
+    ]);
+
+    player.chat("hello", { source: "Steve" });
+    player.chat("hello", { source: "Alex" });
+    player.chat("[Alex] hello");
+    player.chat("[Notch] hello");
+    await sync(bot, player);
+
+    assert.deepEqual(fired.map((f) => `${f.name}:${f.sender}`), ["byName:Steve", "byRegex:Alex"]);
+});
+
+test("a rule does not fire again within its cooldown", async () => {
+    const fired = await connectWith([
+        { name: "slow", pattern: "ping", cooldownMs: 60000, action: { type: "notify" } },
+    ]);
+
+    player.chat("ping");
+    player.chat("ping");
+    await sync(bot, player);
+    assert.equal(fired.length, 1);
+
+    bot.triggers.get("slow").lastFired = 0;
+    player.chat("ping");
+    await sync(bot, player);
+    assert.equal(fired.length, 2);
+});
+
+test("global and sticky flags do not make a rule skip messages", async () => {
+    assert.equal(compileRule({ pattern: "x", flags: "gyi", action: { type: "notify" } }, 0).regex.flags, "i");
+
+    const fired = await connectWith([
+        { name: "every", pattern: "drop", flags: "g", from: "/./g", action: { type: "notify" } },
+    ]);
+
+    for (let i = 0; i < 3; i++) player.chat("rare drop", { source: "Steve" });
+    await sync(bot, player);
+    assert.equal(fired.length, 3);
+});